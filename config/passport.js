@@ -1,33 +1,82 @@
 const passport = require('passport');
 const LocalStrategy = require('passport-local').Strategy;
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginAttempt = require('../models/LoginAttempt');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
 
+// Record a login attempt in the attempt log and the audit trail
+const logLoginAttempt = async (req, attempt) => {
+  await LoginAttempt.record(req, attempt);
 
+  recordAudit(req, {
+    action: attempt.success ? 'auth.login' : 'auth.login_failed',
+    actor: attempt.user || null,
+    target: { type: 'user', id: attempt.user ? attempt.user._id : null },
+    metadata: { email: attempt.email, reason: attempt.reason }
+  });
+};
+
+// Generic failure message so responses never reveal which accounts exist or
+// what state they are in; the attempt log records the actual reason
+const INVALID_CREDENTIALS = 'Invalid email or password';
+
+// Hash compared against when the email is unknown, to keep timing uniform
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
 
 // Local Strategy for username/password login
 passport.use(new LocalStrategy({
   usernameField: 'email',
-  passwordField: 'password'
-}, async (email, password, done) => {
+  passwordField: 'password',
+  passReqToCallback: true
+}, async (req, email, password, done) => {
   try {
-    // Find user by email
-    const user = await User.findOne({ email: email.toLowerCase() });
-    
-    if (!user) {
-      return done(null, false, { message: 'Invalid email or password' });
+    const normalizedEmail = email.toLowerCase().trim();
+
+    // Refuse attempts during back-off or lockout without checking the password
+    const { blockReason, reservation } = await LoginThrottle.reserveAttempt(normalizedEmail);
+    if (blockReason) {
+      await logLoginAttempt(req, { email: normalizedEmail, success: false, reason: blockReason });
+      return done(null, false, { message: INVALID_CREDENTIALS });
     }
+
+    // Find user by email
+    const user = await User.findOne({ email: normalizedEmail });
     
     // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return done(null, false, { message: 'Invalid email or password' });
+    const isMatch = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !isMatch) {
+      await logLoginAttempt(req, {
+        email: normalizedEmail,
+        user,
+        success: false,
+        reason: user ? 'invalid_password' : 'unknown_email'
+      });
+      return done(null, false, { message: INVALID_CREDENTIALS });
     }
-    
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+
+    if (!user.isActive) {
+      await logLoginAttempt(req, { email: normalizedEmail, user, success: false, reason: 'account_deactivated' });
+      return done(null, false, { message: INVALID_CREDENTIALS });
+    }
+
+    if (user.passwordResetRequired) {
+      await logLoginAttempt(req, { email: normalizedEmail, user, success: false, reason: 'password_reset_required' });
+      return done(null, false, { message: INVALID_CREDENTIALS });
+    }
+
+    // With 2FA the login only succeeds once the second step passes; the
+    // counter is only reset then, so the password step cannot clear it
+    if (user.twoFactor.enabled) {
+      await LoginThrottle.releaseAttempt(reservation);
+      return done(null, user);
+    }
+
+    await completeLogin(req, user);
     
     return done(null, user);
   } catch (error) {
@@ -35,23 +84,126 @@ passport.use(new LocalStrategy({
   }
 }));
 
-// Generate JWT token
-const generateToken = (user) => {
+// Record a fully successful login and clear failed attempt counters
+const completeLogin = async (req, user) => {
+  await LoginThrottle.reset(user.email);
+  await logLoginAttempt(req, { email: user.email, user, success: true, reason: 'success' });
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+};
+
+// Generate short-lived JWT access token bound to a session
+const generateToken = (user, session) => {
   return jwt.sign(
     { 
       id: user._id, 
       email: user.email,
-      name: user.name 
+      name: user.name,
+      sid: session._id
     },
     process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
+// Generate a short-lived token proving the password step of a 2FA login
+// Its id is stored on the user, so only the latest challenge is valid and
+// consumeChallengeToken can make it single-use
+const generateChallengeToken = async (user) => {
+  const challengeId = generateRandomToken(16);
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.challengeId': challengeId } });
+
+  return jwt.sign(
+    { id: user._id, purpose: '2fa_challenge' },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m', jwtid: challengeId }
+  );
+};
+
+// Verify a 2FA challenge token and return its payload
+const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+
+  if (decoded.purpose !== '2fa_challenge') {
+    throw new jwt.JsonWebTokenError('Invalid challenge token');
+  }
+
+  return decoded;
+};
+
+// Mark a verified challenge token as used; false when it was used or replaced already
+const consumeChallengeToken = async (decoded) => {
+  const { modifiedCount } = await User.updateOne(
+    { _id: decoded.id, 'twoFactor.challengeId': decoded.jti },
+    { $set: { 'twoFactor.challengeId': null } }
+  );
+  return modifiedCount === 1;
+};
+
+// Refresh token lifetime in milliseconds
+const getRefreshTokenTTL = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+// Build the token payload returned to the client
+const buildTokenResponse = (user, session, refreshToken) => {
+  const token = generateToken(user, session);
+  const { exp } = jwt.decode(token);
+
+  return {
+    token,
+    refreshToken,
+    expiresIn: exp - Math.floor(Date.now() / 1000)
+  };
+};
+
+// Start a new session and issue an access/refresh token pair
+const issueAuthTokens = async (user, req) => {
+  const refreshToken = generateRandomToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip || '',
+    expiresAt: new Date(Date.now() + getRefreshTokenTTL())
+  });
+
+  return buildTokenResponse(user, session, refreshToken);
+};
+
+// Rotate the refresh token of an existing session and issue a new pair
+// Resolves to null when the token was rotated concurrently (reuse)
+const rotateAuthTokens = async (user, session, req) => {
+  const refreshToken = generateRandomToken();
+
+  const rotated = await Session.rotateToken(session._id, session.refreshTokenHash, hashToken(refreshToken), {
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + getRefreshTokenTTL()),
+    userAgent: req.get('user-agent') || session.userAgent,
+    ip: req.ip || session.ip
+  });
+
+  return rotated ? buildTokenResponse(user, rotated, refreshToken) : null;
+};
+
 // Hash password
 const hashPassword = async (password) => {
   const saltRounds = 10;
   return await bcrypt.hash(password, saltRounds);
 };
 
-module.exports = { generateToken, hashPassword };
+module.exports = {
+  completeLogin,
+  logLoginAttempt,
+  generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  consumeChallengeToken,
+  issueAuthTokens,
+  rotateAuthTokens,
+  hashPassword
+};
@@ -0,0 +1,41 @@
+/**
+ * Named permissions understood by the API
+ * Roles are stored in the database as bundles of these names. A permission
+ * may also be granted with a wildcard: `*` (everything) or `data:*`.
+ */
+const PERMISSIONS = {
+  'data:read': 'Read own data records',
+  'data:write': 'Create and update own data records',
+  'data:delete': 'Delete own data records',
+  'data:read:any': 'Read data records of any user',
+  'data:write:any': 'Update data records of any user',
+  'data:delete:any': 'Delete data records of any user',
+  'users:read': 'List and search users',
+  'users:manage': 'Manage user accounts',
+  'roles:manage': 'Manage roles and their permissions',
+  'audit:read': 'View and export the audit log'
+};
+
+/**
+ * Roles created on startup when missing
+ * Existing roles are never overwritten, so edits made through the API stick.
+ */
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access',
+    permissions: ['*'],
+    isSystem: true
+  },
+  {
+    name: 'user',
+    description: 'Manage own data',
+    permissions: ['data:read', 'data:write', 'data:delete'],
+    isSystem: true
+  }
+];
+
+// Role assigned to new accounts
+const DEFAULT_ROLE = 'user';
+
+module.exports = { PERMISSIONS, DEFAULT_ROLES, DEFAULT_ROLE };
@@ -1,15 +1,50 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { hasPermission } = require('../utils/permissions');
 
 /**
- * Middleware to authenticate JWT tokens
+ * Load the session an access token was issued for
+ * Returns null if the session was revoked, expired or belongs to someone else
+ */
+const findActiveSession = async (decoded) => {
+  if (!decoded.sid) {
+    return null;
+  }
+
+  const session = await Session.findById(decoded.sid);
+
+  if (!session || !session.isValid() || session.user.toString() !== decoded.id) {
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * Whether unverified email addresses are restricted (REQUIRE_EMAIL_VERIFICATION)
+ */
+const requiresEmailVerification = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+/**
+ * Build middleware to authenticate JWT tokens
  * Verifies the token and attaches user data to req.user
+ *
+ * Options:
+ *   allowUnverified     - let users with an unverified email through when
+ *                         email verification is required (profile, resend, logout)
+ *   allowTwoFactorSetup - let users who are forced into 2FA but have not
+ *                         enrolled yet through (profile, 2FA enrollment, logout)
+ *   allowQueryToken     - also accept the token as ?token= for clients that
+ *                         cannot set headers (EventSource streams)
  */
-const authenticateToken = async (req, res, next) => {
+const authenticate = ({ allowUnverified = false, allowTwoFactorSetup = false, allowQueryToken = false } = {}) => async (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    const headerToken = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    const queryToken = allowQueryToken && typeof req.query.token === 'string' ? req.query.token : null;
+    const token = headerToken || queryToken;
 
     if (!token) {
       return res.status(401).json({
@@ -19,6 +54,15 @@ const authenticateToken = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Check the session has not been revoked
+    const session = await findActiveSession(decoded);
+
+    if (!session) {
+      return res.status(401).json({
+        error: 'Session has been revoked or expired.'
+      });
+    }
     
     // Get user from database
     const user = await User.findById(decoded.id).select('-__v');
@@ -35,8 +79,23 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Attach user to request object
+    if (!allowUnverified && requiresEmailVerification() && !user.emailVerified) {
+      return res.status(403).json({
+        error: 'Email verification required.',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    if (!allowTwoFactorSetup && user.mustEnrollTwoFactor()) {
+      return res.status(403).json({
+        error: 'Two-factor authentication setup required.',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
+    // Attach user and session to request object
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -58,6 +117,11 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to authenticate JWT tokens (verified users only when required)
+ */
+const authenticateToken = authenticate();
+
 /**
  * Middleware to check if user has admin role
  */
@@ -78,24 +142,32 @@ const requireAdmin = (req, res, next) => {
 };
 
 /**
- * Middleware to check if user owns the resource or is admin
+ * Middleware to check the user's role grants every given permission
+ * e.g. requirePermission('users:manage')
  */
-const requireOwnership = (resourceUserId) => {
-  return (req, res, next) => {
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         error: 'Authentication required.'
       });
     }
 
-    // Allow if user owns the resource or is admin
-    if (req.user._id.toString() === resourceUserId.toString() || req.user.role === 'admin') {
-      return next();
-    }
+    try {
+      if (!(await hasPermission(req.user, ...permissions))) {
+        return res.status(403).json({
+          error: 'Access denied. Missing permission.',
+          required: permissions
+        });
+      }
 
-    return res.status(403).json({
-      error: 'Access denied. You can only modify your own resources.'
-    });
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({
+        error: 'Internal server error during authorization.'
+      });
+    }
   };
 };
 
@@ -110,10 +182,12 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-__v');
+      const session = await findActiveSession(decoded);
+      const user = session && await User.findById(decoded.id).select('-__v');
       
       if (user && user.isActive) {
         req.user = user;
+        req.authSession = session;
       }
     }
     
@@ -125,8 +199,9 @@ const optionalAuth = async (req, res, next) => {
 };
 
 module.exports = {
+  authenticate,
   authenticateToken,
   requireAdmin,
-  requireOwnership,
+  requirePermission,
   optionalAuth
 };
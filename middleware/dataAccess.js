@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const Data = require('../models/Data');
+const Workspace = require('../models/Workspace');
+const DataShare = require('../models/DataShare');
+const User = require('../models/User');
+const { hasPermission } = require('../utils/permissions');
+
+/**
+ * Check whether a user may perform an action on a data record
+ * Actions are 'read', 'write' and 'delete'. Every action needs
+ * `data:<action>`; on top of that the user must own the record, hold a
+ * member role allowing the action in the record's workspace, hold a share
+ * grant allowing it, or have `data:<action>:any`.
+ */
+const canAccessData = async (user, data, action) => {
+  if (await hasPermission(user, `data:${action}:any`)) {
+    return true;
+  }
+
+  if (!(await hasPermission(user, `data:${action}`))) {
+    return false;
+  }
+
+  if (data.workspace) {
+    const workspace = await Workspace.findById(data.workspace._id || data.workspace);
+    if (workspace && workspace.can(user._id, action)) {
+      return true;
+    }
+  } else {
+    const ownerId = data.user && (data.user._id || data.user);
+    if (ownerId && ownerId.toString() === user._id.toString()) {
+      return true;
+    }
+  }
+
+  // Grants are read on every request so revoking takes effect immediately
+  return DataShare.allows(data._id, user._id, action);
+};
+
+/**
+ * Check whether a user may manage share grants of a data record
+ * Owners (or workspace admins) can; users who were only shared the record cannot
+ */
+const canManageShares = async (user, data) => {
+  if (await hasPermission(user, 'data:write:any')) {
+    return true;
+  }
+
+  if (data.workspace) {
+    const workspace = await Workspace.findById(data.workspace._id || data.workspace);
+    return Boolean(workspace && workspace.can(user._id, 'manage'));
+  }
+
+  const ownerId = data.user && (data.user._id || data.user);
+  return Boolean(ownerId && ownerId.toString() === user._id.toString());
+};
+
+/**
+ * Check whether the creator of a share link can still read what it shares
+ * Links only pass on the creator's own access, so they stop working once the
+ * creator is deactivated, leaves the workspace or loses the record.
+ * `data` is the shared record of a 'record' link.
+ */
+const canShareLinkOwnerRead = async (link, data) => {
+  const owner = await User.findById(link.owner);
+
+  if (!owner || !owner.isActive) {
+    return false;
+  }
+
+  if (link.type === 'record') {
+    return canAccessData(owner, data, 'read');
+  }
+
+  if (!(await hasPermission(owner, 'data:read'))) {
+    return false;
+  }
+
+  if (link.workspace) {
+    const workspace = await Workspace.findById(link.workspace);
+    return Boolean(workspace && workspace.can(owner._id, 'read'));
+  }
+
+  return true;
+};
+
+/**
+ * Middleware to resolve which space the data routes operate on
+ * Under /api/workspaces/:workspaceId/data it is that workspace (membership
+ * required); otherwise, or for the `personal` workspace id, it is the user's
+ * personal space. Sets req.dataScope to the Mongo filter selecting the
+ * space's records and req.workspace to the workspace, if any.
+ */
+const resolveDataScope = async (req, res, next) => {
+  const { workspaceId } = req.params;
+
+  if (!workspaceId || workspaceId === 'personal') {
+    req.workspace = null;
+    req.dataScope = { user: req.user._id, workspace: null };
+    return next();
+  }
+
+  try {
+    if (!mongoose.isValidObjectId(workspaceId)) {
+      return res.status(400).json({
+        error: 'Invalid workspace ID'
+      });
+    }
+
+    const workspace = await Workspace.findById(workspaceId);
+
+    if (!workspace || !workspace.getMemberRole(req.user._id)) {
+      return res.status(404).json({
+        error: 'Workspace not found'
+      });
+    }
+
+    req.workspace = workspace;
+    req.dataScope = { workspace: workspace._id };
+    next();
+  } catch (error) {
+    console.error('Resolve data scope error:', error);
+    return res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Middleware to check the member role in the current workspace allows an action
+ * Passes through in the personal space
+ */
+const requireWorkspaceAction = (action) => {
+  return (req, res, next) => {
+    if (req.workspace && !req.workspace.can(req.user._id, action)) {
+      return res.status(403).json({
+        error: 'Access denied. Insufficient workspace role.'
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Middleware to load the data record in req.params.id and authorize an action
+ * Attaches the record to req.data
+ */
+const authorizeData = (action) => {
+  return async (req, res, next) => {
+    try {
+      const data = await Data.findById(req.params.id)
+        .populate('user', 'name email');
+
+      // Workspace-scoped routes only see that workspace's records
+      const outOfScope = data && req.workspace && (!data.workspace || !data.workspace.equals(req.workspace._id));
+
+      if (!data || outOfScope) {
+        return res.status(404).json({
+          error: 'Data record not found'
+        });
+      }
+
+      if (!(await canAccessData(req.user, data, action))) {
+        return res.status(403).json({
+          error: 'Access denied'
+        });
+      }
+
+      req.data = data;
+      next();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          error: 'Invalid data ID'
+        });
+      }
+
+      console.error('Data authorization error:', error);
+      return res.status(500).json({
+        error: 'Internal server error'
+      });
+    }
+  };
+};
+
+module.exports = {
+  canAccessData,
+  canManageShares,
+  canShareLinkOwnerRead,
+  resolveDataScope,
+  requireWorkspaceAction,
+  authorizeData
+};
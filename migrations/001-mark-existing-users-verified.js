@@ -0,0 +1,16 @@
+const User = require('../models/User');
+
+module.exports = {
+  description: 'Treat accounts created before email verification as verified',
+  up: async () => {
+    // Registration always issues a verification token, so unverified accounts
+    // without one predate the gate (their emailVerified: false may already
+    // have been saved as the schema default)
+    const result = await User.collection.updateMany(
+      { emailVerified: { $ne: true }, emailVerificationTokenHash: null },
+      { $set: { emailVerified: true } }
+    );
+
+    console.log(`   ${result.modifiedCount} users marked as verified`);
+  }
+};
@@ -0,0 +1,35 @@
+const Data = require('../models/Data');
+const DataRevision = require('../models/DataRevision');
+
+module.exports = {
+  description: 'Convert metadata.version to a revision counter and record a baseline revision',
+  up: async () => {
+    const result = await Data.collection.updateMany(
+      { 'metadata.version': { $not: { $type: 'number' } } },
+      { $set: { 'metadata.version': 1 } }
+    );
+
+    console.log(`   ${result.modifiedCount} records updated`);
+
+    // Baseline revision so history and diffs have a starting point
+    let created = 0;
+    for await (const data of Data.find().cursor()) {
+      const exists = await DataRevision.exists({ data: data._id, revision: data.metadata.version });
+      if (exists) continue;
+
+      const snapshot = Object.fromEntries(Data.TRACKED_FIELDS.map(field => [field, data.get(field) ?? null]));
+
+      await DataRevision.create({
+        data: data._id,
+        revision: data.metadata.version,
+        action: 'create',
+        actor: data.user,
+        changes: [],
+        snapshot: JSON.parse(JSON.stringify(snapshot))
+      });
+      created++;
+    }
+
+    console.log(`   ${created} baseline revisions created`);
+  }
+};
@@ -0,0 +1,20 @@
+const Data = require('../models/Data');
+const { normalizeTags } = require('../utils/tags');
+
+module.exports = {
+  description: 'Normalize the case and whitespace of existing data tags',
+  up: async () => {
+    let updated = 0;
+
+    // Raw documents so the change is not recorded as a user revision
+    for await (const data of Data.collection.find({ 'tags.0': { $exists: true } }, { projection: { tags: 1 } })) {
+      const tags = normalizeTags(data.tags);
+      if (JSON.stringify(tags) === JSON.stringify(data.tags)) continue;
+
+      await Data.collection.updateOne({ _id: data._id }, { $set: { tags } });
+      updated++;
+    }
+
+    console.log(`   ${updated} records updated`);
+  }
+};
@@ -0,0 +1,22 @@
+const Category = require('../models/Category');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+
+module.exports = {
+  description: 'Seed the default categories for every user and workspace',
+  up: async () => {
+    let seeded = 0;
+
+    for await (const user of User.find().select('_id').cursor()) {
+      await Category.ensureDefaults({ user: user._id, workspace: null });
+      seeded++;
+    }
+
+    for await (const workspace of Workspace.find().select('_id').cursor()) {
+      await Category.ensureDefaults({ user: null, workspace: workspace._id });
+      seeded++;
+    }
+
+    console.log(`   ${seeded} spaces seeded`);
+  }
+};
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Migration runner
+ * Applies every migration file in this directory, in file name order,
+ * that has not been recorded in the `migrations` collection yet.
+ *
+ * Each migration module exports `{ description, up }` where `up` is an
+ * async function. Run with `npm run migrate`.
+ */
+const migrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const Migration = mongoose.model('Migration', migrationSchema);
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-dashboard');
+  console.log('✅ Connected to MongoDB');
+
+  const files = fs.readdirSync(__dirname)
+    .filter(file => /^\d+-.+\.js$/.test(file))
+    .sort();
+
+  const applied = new Set((await Migration.find()).map(m => m.name));
+
+  for (const file of files) {
+    if (applied.has(file)) continue;
+
+    const migration = require(path.join(__dirname, file));
+    console.log(`➡️  Applying ${file}: ${migration.description || ''}`);
+
+    await migration.up();
+    await Migration.create({ name: file });
+  }
+
+  console.log('✅ Migrations complete');
+};
+
+run()
+  .catch(err => {
+    console.error('❌ Migration error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * Append-only record of a security or data event
+ * Events are never updated or deleted through the application.
+ */
+const auditEventSchema = new mongoose.Schema({
+  // Dotted event name, e.g. 'auth.login', 'data.deleted'
+  action: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Kept so events stay readable after the actor is deleted
+  actorEmail: {
+    type: String,
+    default: null
+  },
+  target: {
+    type: {
+      type: String,
+      default: null
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for the admin filters
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+// Enforce append-only: existing events cannot be modified or removed
+const rejectMutation = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => auditEventSchema.pre(operation, rejectMutation));
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
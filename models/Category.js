@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// Categories every personal space and workspace starts with
+const DEFAULT_CATEGORIES = [
+  { name: 'analytics', color: '#3b82f6', icon: 'chart-line', sortOrder: 0 },
+  { name: 'reports', color: '#10b981', icon: 'file-text', sortOrder: 1 },
+  { name: 'insights', color: '#f59e0b', icon: 'lightbulb', sortOrder: 2 },
+  { name: 'metrics', color: '#8b5cf6', icon: 'gauge', sortOrder: 3 },
+  { name: 'other', color: '#6b7280', icon: 'tag', sortOrder: 4 }
+];
+
+/**
+ * Data category of a space: a user's personal space (user set, workspace
+ * null) or a workspace (workspace set, user null). Records refer to a
+ * category by name.
+ */
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex color like #3b82f6'],
+    default: '#6b7280'
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Icon cannot exceed 50 characters'],
+    default: ''
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Names are unique within a space
+categorySchema.index({ user: 1, workspace: 1, name: 1 }, { unique: true });
+
+// Static method to get the category filter of the space a record lives in
+categorySchema.statics.scopeForData = function(data) {
+  return data.workspace
+    ? { user: null, workspace: data.workspace._id || data.workspace }
+    : { user: data.user._id || data.user, workspace: null };
+};
+
+// Static method to normalize a data scope (see resolveDataScope) to a category filter
+categorySchema.statics.scopeFor = function(dataScope) {
+  return dataScope.workspace
+    ? { user: null, workspace: dataScope.workspace }
+    : { user: dataScope.user, workspace: null };
+};
+
+// Static method to list a space's categories, seeding the defaults the first time
+categorySchema.statics.findForScope = async function(scope) {
+  const categories = await this.find(scope).sort({ sortOrder: 1, name: 1 });
+  if (categories.length > 0) return categories;
+
+  await this.ensureDefaults(scope);
+  return this.find(scope).sort({ sortOrder: 1, name: 1 });
+};
+
+// Static method to get the category names of a space
+categorySchema.statics.namesForScope = async function(scope) {
+  const categories = await this.findForScope(scope);
+  return categories.map(category => category.name);
+};
+
+// Static method to create the default categories of a space if it has none
+categorySchema.statics.ensureDefaults = async function(scope) {
+  if (await this.exists(scope)) return;
+
+  try {
+    await this.insertMany(DEFAULT_CATEGORIES.map(category => ({ ...category, ...scope })), { ordered: false });
+  } catch (error) {
+    // A concurrent request seeded the same space
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Static method to give users personal copies of a workspace's categories
+// Used when a deleted workspace hands its records back to their creators
+categorySchema.statics.copyToPersonalSpaces = async function(workspaceId, userIds) {
+  const categories = await this.find({ user: null, workspace: workspaceId });
+
+  for (const userId of userIds) {
+    const scope = { user: userId, workspace: null };
+    await this.ensureDefaults(scope);
+
+    await Promise.all(categories.map(({ name, color, icon, sortOrder }) => this.updateOne(
+      { ...scope, name },
+      { $setOnInsert: { ...scope, name, color, icon, sortOrder } },
+      { upsert: true }
+    )));
+  }
+};
+
+categorySchema.statics.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const { FILTER_FIELDS, parseDataFilter } = require('../utils/dataFilter');
+const { MAX_BUCKETS } = require('../utils/dataStats');
+
+// Grid width of a dashboard layout
+const GRID_COLUMNS = 12;
+const MAX_WIDGETS = 50;
+
+const WIDGET_TYPES = ['number', 'line', 'bar', 'area', 'pie', 'table'];
+const WIDGET_SOURCES = ['summary', 'timeseries', 'records'];
+
+// List route parameters a widget may filter on
+const WIDGET_FILTER_KEYS = ['search', ...Object.keys(FILTER_FIELDS)];
+
+const pickFilters = (filters) => Object.fromEntries(
+  Object.entries(filters && typeof filters === 'object' ? filters : {})
+    .filter(([key, value]) => WIDGET_FILTER_KEYS.includes(key) && value !== undefined && value !== null && value !== '')
+);
+
+// Widget filters use the list filter syntax
+const validateFilters = (filters) => {
+  const { errors } = parseDataFilter(filters);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+  return true;
+};
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * What a widget displays: which records (filters) and how they are
+ * aggregated (source plus its options)
+ */
+const widgetQuerySchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: WIDGET_SOURCES,
+    default: 'summary'
+  },
+  // Same filter parameters as the list route
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    set: pickFilters,
+    validate: {
+      validator: validateFilters,
+      message: props => props.reason.message
+    },
+    default: {}
+  },
+  // Timeseries options
+  interval: {
+    type: String,
+    enum: ['day', 'week', 'month'],
+    default: 'day'
+  },
+  rangeDays: {
+    type: Number,
+    min: [1, 'Range must be at least one day'],
+    max: [3660, 'Range cannot exceed ten years'],
+    default: 30
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimezone,
+      message: 'Invalid timezone'
+    }
+  },
+  splitBy: {
+    type: String,
+    enum: ['category', 'tag'],
+    default: null
+  },
+  // Records options
+  limit: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 10
+  }
+}, {
+  _id: false
+});
+
+// Pre-validate middleware to keep timeseries within the bucket limit; only
+// daily ranges can exceed it
+widgetQuerySchema.pre('validate', function(next) {
+  if (this.interval === 'day' && this.rangeDays > MAX_BUCKETS) {
+    this.invalidate('rangeDays', `Daily ranges cannot exceed ${MAX_BUCKETS} days; use a larger interval`, this.rangeDays);
+  }
+  next();
+});
+
+const widgetSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Widget title cannot exceed 100 characters'],
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: WIDGET_TYPES,
+    required: [true, 'Widget type is required']
+  },
+  layout: {
+    x: { type: Number, min: 0, max: GRID_COLUMNS - 1, default: 0 },
+    y: { type: Number, min: 0, default: 0 },
+    w: { type: Number, min: 1, max: GRID_COLUMNS, default: 4 },
+    h: { type: Number, min: 1, max: 50, default: 3 }
+  },
+  query: {
+    type: widgetQuerySchema,
+    default: () => ({})
+  }
+});
+
+const dashboardSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Workspace whose records the widgets show; null means the owner's personal space
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  // Public dashboards can be viewed by anyone signed in; their widgets only show public records
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  widgets: {
+    type: [widgetSchema],
+    validate: [widgets => widgets.length <= MAX_WIDGETS, `A dashboard cannot have more than ${MAX_WIDGETS} widgets`]
+  }
+}, {
+  timestamps: true
+});
+
+dashboardSchema.index({ user: 1, workspace: 1 });
+dashboardSchema.index({ workspace: 1 });
+
+// Widgets must fit inside the grid
+dashboardSchema.pre('validate', function(next) {
+  const overflowing = this.widgets.find(widget => widget.layout.x + widget.layout.w > GRID_COLUMNS);
+
+  if (overflowing) {
+    this.invalidate('widgets', `Widget "${overflowing.title || overflowing.type}" does not fit in the ${GRID_COLUMNS}-column grid`);
+  }
+
+  next();
+});
+
+// Instance method to get the filter selecting the records the widgets show
+dashboardSchema.methods.getDataScope = function() {
+  return this.workspace
+    ? { workspace: this.workspace }
+    : { user: this.user, workspace: null };
+};
+
+// Instance method to copy the dashboard for another owner and space
+dashboardSchema.methods.duplicate = function(userId, workspaceId = null) {
+  const { name, description, widgets } = this.toObject();
+
+  return new this.constructor({
+    name: `Copy of ${name}`.slice(0, 100),
+    description,
+    user: userId,
+    workspace: workspaceId,
+    isPublic: false,
+    widgets: widgets.map(({ _id, ...widget }) => widget)
+  });
+};
+
+dashboardSchema.statics.WIDGET_TYPES = WIDGET_TYPES;
+dashboardSchema.statics.WIDGET_SOURCES = WIDGET_SOURCES;
+dashboardSchema.statics.WIDGET_FILTER_KEYS = WIDGET_FILTER_KEYS;
+
+module.exports = mongoose.model('Dashboard', dashboardSchema);
@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const DataRevision = require('./DataRevision');
+const { normalizeTag, normalizeTags } = require('../utils/tags');
+const { publishDataEvent } = require('../utils/dataEvents');
+
+// Fields whose changes are captured as revisions
+const TRACKED_FIELDS = ['title', 'description', 'category', 'value', 'unit', 'status', 'tags', 'isPublic'];
+
+// Attempts of updateEach at a record other writers keep changing
+const UPDATE_ATTEMPTS = 3;
 
 const dataSchema = new mongoose.Schema({
   title: {
@@ -12,10 +21,12 @@ const dataSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Description cannot exceed 500 characters']
   },
+  // Name of a Category of the record's space
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: ['analytics', 'reports', 'insights', 'metrics', 'other'],
+    trim: true,
+    lowercase: true,
     default: 'other'
   },
   value: {
@@ -35,14 +46,16 @@ const dataSchema = new mongoose.Schema({
   },
   tags: [{
     type: String,
-    trim: true
+    trim: true,
+    set: normalizeTag
   }],
   metadata: {
     source: String,
     lastUpdated: Date,
+    // Incremented with every revision
     version: {
-      type: String,
-      default: '1.0.0'
+      type: Number,
+      default: 1
     }
   },
   user: {
@@ -50,31 +63,172 @@ const dataSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Shared workspace the record belongs to; null means the owner's personal space
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
   isPublic: {
     type: Boolean,
     default: false
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Saves fail with a VersionError when another save got in first, so two
+  // writers never claim the same revision number
+  optimisticConcurrency: true
 });
 
 // Indexes for better query performance
 dataSchema.index({ user: 1, category: 1 });
+dataSchema.index({ workspace: 1, category: 1 });
 dataSchema.index({ category: 1, status: 1 });
 dataSchema.index({ tags: 1 });
 dataSchema.index({ createdAt: -1 });
+// Full-text search, titles weighing most
+dataSchema.index(
+  { title: 'text', description: 'text', tags: 'text' },
+  { name: 'data_text_search', weights: { title: 5, tags: 3, description: 1 } }
+);
 
 // Virtual for formatted value with unit
 dataSchema.virtual('formattedValue').get(function() {
   return this.unit ? `${this.value} ${this.unit}` : this.value.toString();
 });
 
+// Plain copy of the tracked fields
+const takeSnapshot = (doc) => {
+  const plain = doc.toObject({ depopulate: true });
+  return Object.fromEntries(TRACKED_FIELDS.map(field => [field, plain[field] === undefined ? null : plain[field]]));
+};
+
+// Events of writes made in a running transaction, published once it commits
+const pendingEvents = new WeakMap();
+
+// Publish a change of a record to SSE streams and webhooks (utils/dataEvents).
+// Every write of a single record passes through here; bulk query writes
+// (cascades deleting whole spaces) do not. Neither does the move of a deleted
+// workspace's records to their creators (routes/workspaces.js): the workspace
+// is not a tracked field, so it makes no revision, and the workspace's streams
+// and webhooks go away with it.
+const publishChange = (doc, type) => {
+  const actor = doc.$locals.actor || doc.user._id || doc.user;
+  const session = doc.$session();
+
+  if (session && pendingEvents.has(session)) {
+    pendingEvents.get(session).push({ type, record: doc.toObject({ depopulate: true }), actor });
+    return;
+  }
+
+  publishDataEvent(type, doc, { actor });
+};
+
+// Remember the loaded state so revisions can record previous values
+dataSchema.post('init', function() {
+  this.$locals.original = takeSnapshot(this);
+});
+
 // Pre-save middleware to update lastUpdated metadata
 dataSchema.pre('save', function(next) {
   this.metadata.lastUpdated = new Date();
   next();
 });
 
+// Pre-save middleware to drop blank and duplicate tags left after normalization
+dataSchema.pre('save', function(next) {
+  if (this.isModified('tags')) {
+    const tags = normalizeTags(this.tags);
+    if (tags.length !== this.tags.length) {
+      this.tags = tags;
+    }
+  }
+  next();
+});
+
+// Pre-save middleware to work out the revision this save creates
+dataSchema.pre('save', function(next) {
+  const snapshot = takeSnapshot(this);
+  const original = this.isNew ? {} : (this.$locals.original || {});
+
+  const changes = TRACKED_FIELDS
+    .filter(field => JSON.stringify(original[field] ?? null) !== JSON.stringify(snapshot[field]))
+    .map(field => ({ field, from: original[field] ?? null, to: snapshot[field] }));
+
+  if (this.isNew) {
+    this.metadata.version = 1;
+  } else if (changes.length > 0) {
+    this.metadata.version = (this.metadata.version || 1) + 1;
+  }
+
+  this.$locals.pendingRevision = this.isNew || changes.length > 0
+    ? { action: this.isNew ? 'create' : (this.$locals.revisionAction || 'update'), changes, snapshot }
+    : null;
+
+  next();
+});
+
+// Post-save middleware to store the revision
+dataSchema.post('save', async function(doc) {
+  const pending = doc.$locals.pendingRevision;
+  if (!pending) return;
+
+  const revertedFrom = doc.$locals.revertedFrom || null;
+  doc.$locals.pendingRevision = null;
+  doc.$locals.revisionAction = null;
+  doc.$locals.revertedFrom = null;
+  doc.$locals.original = pending.snapshot;
+
+  await DataRevision.create([{
+    data: doc._id,
+    revision: doc.metadata.version,
+    action: pending.action,
+    revertedFrom,
+    actor: doc.$locals.actor || doc.user._id || doc.user,
+    changes: pending.changes,
+    snapshot: pending.snapshot
+  }], { session: doc.$session() });
+
+  publishChange(doc, pending.action === 'create' ? 'data.created' : 'data.updated');
+});
+
+// Post-insertMany middleware to publish records created in bulk (imports)
+dataSchema.post('insertMany', function(docs) {
+  docs.forEach(doc => publishChange(doc, 'data.created'));
+});
+
+// Post-delete middleware to publish deleted records with their last state
+dataSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  publishChange(doc, 'data.deleted');
+});
+
+// Instance method to save on behalf of a user, recording them as the revision actor
+dataSchema.methods.saveAs = function(userId) {
+  this.$locals.actor = userId;
+  return this.save();
+};
+
+// Instance method to delete on behalf of a user, with the record's share grants and history
+dataSchema.methods.deleteAs = async function(userId) {
+  this.$locals.actor = userId;
+  await this.deleteOne();
+  await mongoose.model('DataShare').deleteMany({ data: this._id }).session(this.$session());
+  await DataRevision.deleteMany({ data: this._id }).session(this.$session());
+};
+
+// Instance method to restore the tracked fields of an earlier revision
+dataSchema.methods.revertTo = function(revision, userId) {
+  TRACKED_FIELDS.forEach(field => {
+    if (revision.snapshot[field] !== undefined) {
+      this.set(field, revision.snapshot[field]);
+    }
+  });
+
+  this.$locals.revisionAction = 'revert';
+  this.$locals.revertedFrom = revision.revision;
+  return this.saveAs(userId);
+};
+
 // Static method to get data by category
 dataSchema.statics.findByCategory = function(category) {
   return this.find({ category, status: 'active' });
@@ -85,24 +239,90 @@ dataSchema.statics.findByUser = function(userId) {
   return this.find({ user: userId }).populate('user', 'name email');
 };
 
-// Instance method to toggle status
-dataSchema.methods.toggleStatus = function() {
+// Instance method to toggle status (userId is recorded as the revision actor)
+dataSchema.methods.toggleStatus = function(userId) {
   this.status = this.status === 'active' ? 'inactive' : 'active';
-  return this.save();
+  return this.saveAs(userId);
 };
 
 // Instance method to add tag
-dataSchema.methods.addTag = function(tag) {
-  if (!this.tags.includes(tag)) {
-    this.tags.push(tag);
+dataSchema.methods.addTag = function(tag, userId) {
+  const normalized = normalizeTag(tag);
+  if (!this.tags.includes(normalized)) {
+    this.tags.push(normalized);
   }
-  return this.save();
+  return this.saveAs(userId);
 };
 
 // Instance method to remove tag
-dataSchema.methods.removeTag = function(tag) {
-  this.tags = this.tags.filter(t => t !== tag);
-  return this.save();
+dataSchema.methods.removeTag = function(tag, userId) {
+  const normalized = normalizeTag(tag);
+  this.tags = this.tags.filter(t => t !== normalized);
+  return this.saveAs(userId);
 };
 
+// Instance method to replace some tags with another one across the record
+dataSchema.methods.replaceTags = function(sources, target, userId) {
+  const normalizedSources = sources.map(normalizeTag);
+  const normalizedTarget = normalizeTag(target);
+
+  this.tags = normalizeTags(this.tags.map(t => (normalizedSources.includes(t) ? normalizedTarget : t)));
+  return this.saveAs(userId);
+};
+
+// Static method to run update(record), which saves it, on every record matching the filter
+// A record another save got in first on (VersionError) is reloaded and updated
+// again while it still matches; records that keep failing are counted instead
+// of stopping the rest. Returns { modified, failed }.
+dataSchema.statics.updateEach = async function(filter, update) {
+  let modified = 0;
+  let failed = 0;
+
+  for await (const data of this.find(filter).cursor()) {
+    let record = data;
+
+    for (let attempt = 1; record; attempt++) {
+      try {
+        await update(record);
+        modified++;
+        break;
+      } catch (error) {
+        if (error.name !== 'VersionError' || attempt >= UPDATE_ATTEMPTS) {
+          console.error(`Update of data record ${data._id} failed:`, error);
+          failed++;
+          break;
+        }
+
+        // Gone, or changed so that it no longer matches: nothing left to do
+        record = await this.findOne({ ...filter, _id: data._id });
+      }
+    }
+  }
+
+  return { modified, failed };
+};
+
+// Static method to run work(session) in a transaction (needs a replica set)
+// The work may run again on transient errors, so it should load the records it
+// writes with the session. Data events of those writes are published on commit.
+dataSchema.statics.transaction = async function(work) {
+  const session = await this.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      pendingEvents.set(session, []);
+      result = await work(session);
+    });
+
+    pendingEvents.get(session).forEach(({ type, record, actor }) => publishDataEvent(type, record, { actor }));
+    return result;
+  } finally {
+    pendingEvents.delete(session);
+    await session.endSession();
+  }
+};
+
+dataSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
 module.exports = mongoose.model('Data', dataSchema);
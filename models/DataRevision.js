@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * One entry in the history of a data record
+ * Written by the Data model on every create and every save that changes a
+ * tracked field; `snapshot` holds the tracked fields after the change.
+ */
+const dataRevisionSchema = new mongoose.Schema({
+  data: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Data',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'revert'],
+    required: true
+  },
+  // Revision restored by a revert
+  revertedFrom: {
+    type: Number,
+    default: null
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+dataRevisionSchema.index({ data: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('DataRevision', dataRevisionSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Data actions each grant level allows; deleting needs the explicit full level
+const SHARE_PERMISSION_ACTIONS = {
+  read: ['read'],
+  edit: ['read', 'write'],
+  full: ['read', 'write', 'delete']
+};
+
+/**
+ * Grant giving one user access to a single data record
+ */
+const dataShareSchema = new mongoose.Schema({
+  data: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Data',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  permission: {
+    type: String,
+    enum: Object.keys(SHARE_PERMISSION_ACTIONS),
+    default: 'read'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One grant per user and record; lookups by grantee for "shared with me"
+dataShareSchema.index({ data: 1, user: 1 }, { unique: true });
+dataShareSchema.index({ user: 1, expiresAt: 1 });
+
+// Filter matching grants that have not expired
+const activeFilter = () => ({
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+// Static method to check whether a user holds a grant allowing an action
+dataShareSchema.statics.allows = async function(dataId, userId, action) {
+  const share = await this.findOne({ data: dataId, user: userId, ...activeFilter() });
+  return Boolean(share && SHARE_PERMISSION_ACTIONS[share.permission].includes(action));
+};
+
+// Static method to get the ids of records shared with a user
+dataShareSchema.statics.findSharedDataIds = async function(userId) {
+  const shares = await this.find({ user: userId, ...activeFilter() }).select('data');
+  return shares.map(share => share.data);
+};
+
+dataShareSchema.statics.PERMISSIONS = Object.keys(SHARE_PERMISSION_ACTIONS);
+
+module.exports = mongoose.model('DataShare', dataShareSchema);
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+// Row errors kept on the job; the rest are only counted
+const MAX_STORED_ROW_ERRORS = 1000;
+
+// The server running a job renews its lock until the job finishes, so a job
+// whose lock lapsed was cut off by a server that stopped
+const LOCK_DURATION_MS = 2 * 60 * 1000;
+const LOCK_RENEW_INTERVAL_MS = 30 * 1000;
+
+const lockExpiry = () => new Date(Date.now() + LOCK_DURATION_MS);
+
+/**
+ * Bulk import of data records from an uploaded file
+ * Its id is the import identifier stored in `metadata.source` of every
+ * record it creates (`import:<id>`).
+ */
+const importJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  fileName: {
+    type: String,
+    default: ''
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json', 'ndjson'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  insertedCount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  rowErrors: [{
+    _id: false,
+    row: Number,
+    messages: [String]
+  }],
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  // Renewed by the server running the job (see keepLocked)
+  lockedUntil: {
+    type: Date,
+    default: lockExpiry
+  }
+}, {
+  timestamps: true
+});
+
+importJobSchema.index({ user: 1, createdAt: -1 });
+
+// Instance method to add row errors, keeping at most MAX_STORED_ROW_ERRORS
+importJobSchema.methods.addRowErrors = function(rowErrors) {
+  const room = MAX_STORED_ROW_ERRORS - this.rowErrors.length;
+  if (room > 0) {
+    this.rowErrors.push(...rowErrors.slice(0, room));
+  }
+  this.failedCount += rowErrors.length;
+};
+
+// Instance method to renew the job's lock while this server runs it
+// Returns a function that stops renewing it
+importJobSchema.methods.keepLocked = function() {
+  const timer = setInterval(() => {
+    this.constructor.updateOne({ _id: this._id }, { $set: { lockedUntil: lockExpiry() } })
+      .catch(error => console.error('Import job lock error:', error));
+  }, LOCK_RENEW_INTERVAL_MS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+// Static method to fail the jobs left unfinished by a server that stopped
+// Their rows were only held in memory, so they cannot be resumed. Jobs of
+// running servers keep their lock renewed and are left alone.
+importJobSchema.statics.failInterrupted = function() {
+  return this.updateMany(
+    {
+      status: { $in: ['queued', 'processing'] },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }]
+    },
+    {
+      $set: {
+        status: 'failed',
+        error: 'The import was interrupted when its server stopped; upload the file again',
+        finishedAt: new Date(),
+        lockedUntil: null
+      }
+    }
+  );
+};
+
+// Instance method to get the client-facing status
+importJobSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    source: `import:${this._id}`,
+    fileName: this.fileName,
+    format: this.format,
+    status: this.status,
+    totalRows: this.totalRows,
+    processedRows: this.processedRows,
+    insertedCount: this.insertedCount,
+    failedCount: this.failedCount,
+    rowErrors: this.rowErrors,
+    error: this.error,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt,
+    createdAt: this.createdAt
+  };
+};
+
+importJobSchema.statics.LOCK_DURATION_MS = LOCK_DURATION_MS;
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
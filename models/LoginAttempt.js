@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * Log of login attempts and their outcome
+ */
+const loginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [
+      'success',
+      'unknown_email',
+      'invalid_password',
+      'account_deactivated',
+      'password_reset_required',
+      'throttled',
+      'locked',
+      'invalid_two_factor_code'
+    ],
+    required: true
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for per-account history and retention
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Static method to record an attempt from a request
+loginAttemptSchema.statics.record = function(req, { email, user = null, success, reason }) {
+  return this.create({
+    email,
+    user: user ? user._id : null,
+    success,
+    reason,
+    ip: req.ip || '',
+    userAgent: req.get('user-agent') || ''
+  });
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+// Failures before exponential back-off starts
+const BACKOFF_THRESHOLD = parseInt(process.env.LOGIN_BACKOFF_THRESHOLD) || 3;
+// Failures before the account is locked
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 15 * 60 * 1000;
+const LOCKOUT_DURATION_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30) * 60 * 1000;
+// Failure counters are forgotten after a quiet day
+const RESET_AFTER_SECONDS = 24 * 60 * 60;
+
+/**
+ * Failed login counter per email address
+ * Tracked by email rather than user so unknown addresses are throttled
+ * exactly like real ones and responses do not reveal which accounts exist.
+ */
+const loginThrottleSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    unique: true
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Exponential back-off: no attempt is evaluated before this time
+  blockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Temporary lockout after too many failures
+  lockedUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ lastFailedAt: 1 }, { expireAfterSeconds: RESET_AFTER_SECONDS });
+
+// Instance method to get the reason attempts are currently refused, if any
+loginThrottleSchema.methods.getBlockReason = function() {
+  const now = new Date();
+
+  if (this.lockedUntil && this.lockedUntil > now) return 'locked';
+  if (this.blockedUntil && this.blockedUntil > now) return 'throttled';
+  return null;
+};
+
+// Static method to reserve an attempt for an email before checking it
+// The attempt is counted as a failure up front, together with the back-off or
+// lockout it earns, in one update that only matches while attempts are
+// allowed; parallel guesses therefore cannot all pass before any is counted.
+// Resolves to { blockReason } when refused, else to { reservation }.
+loginThrottleSchema.statics.reserveAttempt = async function(email) {
+  const normalizedEmail = email.toLowerCase().trim();
+  const now = new Date();
+  const attempts = { $add: [{ $ifNull: ['$failedAttempts', 0] }, 1] };
+  const backoff = {
+    $min: [
+      { $multiply: [BACKOFF_BASE_MS, { $pow: [2, { $subtract: ['$failedAttempts', BACKOFF_THRESHOLD] }] }] },
+      BACKOFF_MAX_MS
+    ]
+  };
+
+  try {
+    const reservation = await this.findOneAndUpdate(
+      {
+        email: normalizedEmail,
+        $and: [
+          { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+          { $or: [{ blockedUntil: null }, { blockedUntil: { $lte: now } }] }
+        ]
+      },
+      [
+        { $set: { failedAttempts: attempts, lastFailedAt: now, createdAt: { $ifNull: ['$createdAt', now] } } },
+        {
+          $set: {
+            lockedUntil: {
+              $cond: [{ $gte: ['$failedAttempts', LOCKOUT_THRESHOLD] }, new Date(now.getTime() + LOCKOUT_DURATION_MS), { $ifNull: ['$lockedUntil', null] }]
+            },
+            blockedUntil: {
+              $cond: [{ $gte: ['$failedAttempts', BACKOFF_THRESHOLD] }, { $add: [now, backoff] }, { $ifNull: ['$blockedUntil', null] }]
+            }
+          }
+        }
+      ],
+      { upsert: true, new: true }
+    );
+    return { reservation };
+  } catch (error) {
+    // The upsert collides with the existing, blocked counter
+    if (error.code !== 11000) throw error;
+
+    const throttle = await this.findOne({ email: normalizedEmail });
+    return { blockReason: (throttle && throttle.getBlockReason()) || 'throttled' };
+  }
+};
+
+// Static method to give back a reserved attempt that turned out valid but
+// does not finish the login (password step of a 2FA login)
+// Blocks the reservation set are lifted too; while they lasted no other
+// attempt could be reserved, so they cannot belong to anyone else.
+loginThrottleSchema.statics.releaseAttempt = function(reservation) {
+  const unlessSetBy = (field) => ({
+    $cond: [{ $eq: [`$${field}`, reservation[field]] }, null, `$${field}`]
+  });
+
+  return this.updateOne(
+    { _id: reservation._id, failedAttempts: { $gt: 0 } },
+    [{
+      $set: {
+        failedAttempts: { $subtract: ['$failedAttempts', 1] },
+        blockedUntil: unlessSetBy('blockedUntil'),
+        lockedUntil: unlessSetBy('lockedUntil')
+      }
+    }]
+  );
+};
+
+// Static method to clear the counter (successful login or admin unlock)
+loginThrottleSchema.statics.reset = function(email) {
+  return this.deleteOne({ email: email.toLowerCase().trim() });
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
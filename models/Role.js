@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+
+/**
+ * Check a permission name is known, or a valid wildcard
+ */
+const isValidPermission = (permission) => {
+  if (permission === '*' || PERMISSIONS[permission]) return true;
+
+  if (permission.endsWith(':*')) {
+    const prefix = permission.slice(0, -1);
+    return Object.keys(PERMISSIONS).some(name => name.startsWith(prefix));
+  }
+
+  return false;
+};
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,31}$/, 'Role name may only contain letters, numbers, dashes and underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: permissions => permissions.every(isValidPermission),
+      message: 'Unknown permission'
+    }
+  },
+  // System roles cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to create the default roles if they do not exist yet
+roleSchema.statics.ensureDefaults = function() {
+  return Promise.all(DEFAULT_ROLES.map(role => this.updateOne(
+    { name: role.name },
+    { $setOnInsert: role },
+    { upsert: true }
+  )));
+};
+
+roleSchema.statics.isValidPermission = isValidPermission;
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { FILTER_FIELDS, parseDataFilter, parseSort } = require('../utils/dataFilter');
+
+// List route parameters a view can store
+const VIEW_PARAM_KEYS = ['search', 'shared', 'sortBy', 'sortOrder', 'limit', ...Object.keys(FILTER_FIELDS)];
+
+const pickParams = (params) => Object.fromEntries(
+  Object.entries(params && typeof params === 'object' ? params : {})
+    .filter(([key, value]) => VIEW_PARAM_KEYS.includes(key) && value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => [key, typeof value === 'object' ? value : String(value)])
+);
+
+// Stored parameters must be valid list parameters
+const validateParams = (params) => {
+  const { errors } = parseDataFilter(params);
+  const { error } = parseSort(params);
+
+  if (errors.length > 0 || error) {
+    throw new Error(errors[0] || error);
+  }
+  return true;
+};
+
+/**
+ * Named set of list parameters a user saved for one space
+ */
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Space the view lists; null means the personal space
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    set: pickParams,
+    validate: {
+      validator: validateParams,
+      message: props => props.reason.message
+    },
+    default: {}
+  },
+  // Applied to the list when no view is requested
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+savedViewSchema.index({ user: 1, workspace: 1, name: 1 }, { unique: true });
+
+// Pre-save middleware to keep a single default view per user and space
+savedViewSchema.pre('save', async function(next) {
+  try {
+    if (this.isDefault && this.isModified('isDefault')) {
+      await this.constructor.updateMany(
+        { user: this.user, workspace: this.workspace, _id: { $ne: this._id }, isDefault: true },
+        { $set: { isDefault: false } }
+      );
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Static method to get the default view of a user in a space
+savedViewSchema.statics.findDefault = function(userId, workspaceId = null) {
+  return this.findOne({ user: userId, workspace: workspaceId, isDefault: true });
+};
+
+savedViewSchema.statics.VIEW_PARAM_KEYS = VIEW_PARAM_KEYS;
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
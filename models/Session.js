@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Rotated refresh tokens remembered for reuse detection, newest kept
+const MAX_ROTATED_TOKEN_HASHES = 100;
+
+/**
+ * A session represents one login and the whole family of refresh tokens
+ * rotated from it. Access tokens carry the session id so revoking the
+ * session revokes every token issued for it.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of refresh tokens already rotated out of this family (the latest
+  // MAX_ROTATED_TOKEN_HASHES)
+  rotatedTokenHashes: [{
+    type: String
+  }],
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for token lookups and cleanup
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ rotatedTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to check whether the session can still be used
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Instance method to revoke the session (and so the whole token family)
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Instance method to get the client-facing view of a session
+sessionSchema.methods.getPublicInfo = function() {
+  return {
+    id: this._id,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to swap the refresh token of a session for a new one
+// Only matches while `currentHash` is still the session's token, so of two
+// refreshes racing with the same token one gets null; callers treat that as
+// reuse. Resolves to the updated session.
+sessionSchema.statics.rotateToken = function(sessionId, currentHash, newHash, changes = {}) {
+  return this.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: currentHash, revokedAt: null },
+    {
+      $set: { ...changes, refreshTokenHash: newHash },
+      $push: { rotatedTokenHashes: { $each: [currentHash], $slice: -MAX_ROTATED_TOKEN_HASHES } }
+    },
+    { new: true }
+  );
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'logout_all') {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { hashToken } = require('../utils/tokens');
+
+/**
+ * Revocable link giving anonymous read access to one record ('record')
+ * or to a filtered list of the creator's records ('view')
+ */
+const shareLinkSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['record', 'view'],
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters'],
+    default: ''
+  },
+  // Shared record (type 'record')
+  data: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Data',
+    default: null
+  },
+  // Space and filters of a shared view (type 'view')
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  filter: {
+    category: String,
+    status: String,
+    tags: [String],
+    search: String
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+shareLinkSchema.index({ owner: 1, createdAt: -1 });
+
+// Instance method to check whether the link still grants access
+shareLinkSchema.methods.isValid = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Instance method to get the view shown to the link's owner
+shareLinkSchema.methods.getOwnerView = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    label: this.label,
+    data: this.data,
+    workspace: this.workspace,
+    filter: this.filter,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    accessCount: this.accessCount,
+    lastAccessedAt: this.lastAccessedAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to revoke a user's links into a workspace they no longer belong to
+shareLinkSchema.statics.revokeForWorkspace = async function(userId, workspaceId) {
+  const recordLinks = await this.find({ owner: userId, type: 'record', revokedAt: null }).select('data');
+  const workspaceRecords = await mongoose.model('Data').distinct('_id', {
+    _id: { $in: recordLinks.map(link => link.data) },
+    workspace: workspaceId
+  });
+
+  return this.updateMany(
+    { owner: userId, revokedAt: null, $or: [{ workspace: workspaceId }, { data: { $in: workspaceRecords } }] },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// Static method to find a link by its raw token
+shareLinkSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
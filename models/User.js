@@ -1,4 +1,9 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const Session = require('./Session');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { verifyCode } = require('../utils/totp');
+const { DEFAULT_ROLE } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -29,19 +34,83 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Name of a Role document; permissions come from the role
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    lowercase: true,
+    trim: true,
+    default: DEFAULT_ROLE
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    default: null
+  },
+  emailVerificationExpires: {
+    type: Date,
+    default: null
+  },
   lastLogin: {
     type: Date,
     default: Date.now
   },
+  passwordResetTokenHash: {
+    type: String,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Set by an admin; login is refused until the password is reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null
+    },
+    // Secret awaiting confirmation with a first code
+    pendingSecret: {
+      type: String,
+      default: null
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: [{
+      type: String
+    }],
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      default: null
+    },
+    // Id (jti) of the outstanding login challenge; cleared once it is used
+    challengeId: {
+      type: String,
+      default: null
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
   preferences: {
     theme: {
       type: String,
@@ -59,6 +128,13 @@ const userSchema = new mongoose.Schema({
 
 // Index for better query performance
 userSchema.index({ email: 1 });
+userSchema.index({ passwordResetTokenHash: 1 });
+userSchema.index({ emailVerificationTokenHash: 1 });
+// Full-text search for admin user lookups
+userSchema.index(
+  { name: 'text', email: 'text', firstName: 'text', lastName: 'text' },
+  { name: 'user_text_search', weights: { name: 5, email: 5, firstName: 3, lastName: 3 } }
+);
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -75,18 +151,140 @@ userSchema.methods.getPublicProfile = function() {
     firstName: this.firstName,
     lastName: this.lastName,
     role: this.role,
+    emailVerified: this.emailVerified,
+    twoFactorEnabled: this.twoFactor.enabled,
     lastLogin: this.lastLogin,
     preferences: this.preferences,
     createdAt: this.createdAt
   };
 };
 
+// Method to get the profile shown to admins
+userSchema.methods.getAdminProfile = function() {
+  return {
+    ...this.getPublicProfile(),
+    isActive: this.isActive,
+    passwordResetRequired: this.passwordResetRequired,
+    passwordChangedAt: this.passwordChangedAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Method to create a single-use password reset token
+// Only the hash is stored; the raw token is returned to be emailed
+userSchema.methods.createPasswordResetToken = function() {
+  const token = generateRandomToken(32);
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+
+  return token;
+};
+
+// Static method to find a user by a valid (unexpired) reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// Method to create an email verification token
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = generateRandomToken(32);
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Static method to find a user by a valid (unexpired) verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationTokenHash: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+};
+
+// Method to check if the user must enroll in 2FA before using the API
+// Admins are forced into 2FA when REQUIRE_ADMIN_2FA is enabled
+userSchema.methods.mustEnrollTwoFactor = function() {
+  return process.env.REQUIRE_ADMIN_2FA === 'true' &&
+    this.role === 'admin' &&
+    !this.twoFactor.enabled;
+};
+
+// Method to verify a TOTP code, rejecting replays of an already used code
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactor.enabled || !this.twoFactor.secret) {
+    return false;
+  }
+
+  const step = verifyCode(this.twoFactor.secret, code);
+  if (step === null || (this.twoFactor.lastUsedStep !== null && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to consume a one-time recovery code
+userSchema.methods.useRecoveryCode = function(code) {
+  const codeHash = hashToken(String(code || '').trim().toLowerCase());
+  const index = this.twoFactor.recoveryCodes.indexOf(codeHash);
+
+  if (index === -1) {
+    return false;
+  }
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Method to replace recovery codes; returns the plain codes to show once
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
 // Pre-save middleware to ensure email is lowercase
 userSchema.pre('save', function(next) {
   if (this.email) {
     this.email = this.email.toLowerCase();
   }
+  // Remember deactivation so post-save can revoke sessions
+  this.$locals.deactivated = !this.isNew && this.isModified('isActive') && !this.isActive;
   next();
 });
 
+// Deactivating a user kills all of their sessions immediately
+userSchema.post('save', async function(doc) {
+  if (doc.$locals.deactivated) {
+    await Session.revokeAllForUser(doc._id, 'account_deactivated');
+  }
+});
+
+userSchema.post('findOneAndUpdate', async function(doc) {
+  const update = this.getUpdate() || {};
+  const isActive = update.$set && update.$set.isActive !== undefined
+    ? update.$set.isActive
+    : update.isActive;
+
+  if (doc && isActive === false) {
+    await Session.revokeAllForUser(doc._id, 'account_deactivated');
+  }
+});
+
+// Fields covered by the user text index
+userSchema.statics.SEARCH_FIELDS = ['name', 'email', 'firstName', 'lastName'];
+
 module.exports = mongoose.model('User', userSchema);
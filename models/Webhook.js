@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const { DATA_EVENT_TYPES } = require('../utils/dataEvents');
+const { generateRandomToken } = require('../utils/tokens');
+const { isPrivateAddress } = require('../utils/network');
+const { hasPermission } = require('../utils/permissions');
+const WebhookDelivery = require('./WebhookDelivery');
+
+// Private targets are refused unless WEBHOOK_ALLOW_PRIVATE_URLS=true
+const allowsPrivateUrls = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Catches obvious local targets early; host names are checked again after
+// DNS resolution on every delivery (utils/network)
+const isPrivateHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+};
+
+// Webhook URLs must be absolute http(s) URLs on a public host
+const validateUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error('URL is not valid');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('URL must use http or https');
+  }
+
+  if (!allowsPrivateUrls() && isPrivateHost(url.hostname)) {
+    throw new Error('URL must not point at a private or local address');
+  }
+
+  return true;
+};
+
+/**
+ * Subscription of an external URL to the data events of one space
+ * Payloads are signed with the secret (HMAC-SHA256); it is only returned
+ * when the webhook is created or the secret is rotated.
+ */
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true,
+    maxlength: [2000, 'URL cannot exceed 2000 characters'],
+    validate: {
+      validator: validateUrl,
+      message: props => props.reason.message
+    }
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: {
+        values: DATA_EVENT_TYPES,
+        message: `Event must be one of: ${DATA_EVENT_TYPES.join(', ')}`
+      }
+    }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'At least one event is required'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  secret: {
+    type: String,
+    required: true,
+    minlength: [16, 'Secret must be at least 16 characters long'],
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Creator; personal webhooks receive this user's record events
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Space the webhook listens to; null means the personal space
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.secret;
+      return ret;
+    }
+  }
+});
+
+webhookSchema.index({ workspace: 1, user: 1 });
+
+// Pre-save middleware to drop duplicate event types
+webhookSchema.pre('save', function(next) {
+  if (this.isModified('events')) {
+    this.events = [...new Set(this.events)];
+  }
+  next();
+});
+
+// Static method telling whether webhooks may target private addresses
+webhookSchema.statics.allowsPrivateUrls = allowsPrivateUrls;
+
+// Static method to generate a signing secret
+webhookSchema.statics.generateSecret = function() {
+  return `whsec_${generateRandomToken(32)}`;
+};
+
+// Static method to get the filter selecting the webhooks of a data scope
+webhookSchema.statics.scopeFor = function(dataScope) {
+  return dataScope.workspace
+    ? { workspace: dataScope.workspace }
+    : { user: dataScope.user, workspace: null };
+};
+
+// Instance method to check the creator may still receive the space's records:
+// an active account with data:read and, in a workspace, the manage role.
+// Webhooks stop delivering once their creator is deactivated or leaves.
+webhookSchema.methods.isCreatorAllowed = async function() {
+  const creator = await mongoose.model('User').findById(this.user);
+
+  if (!creator || !creator.isActive || !(await hasPermission(creator, 'data:read'))) {
+    return false;
+  }
+
+  if (this.workspace) {
+    const workspace = await mongoose.model('Workspace').findById(this.workspace);
+    return Boolean(workspace && workspace.can(creator._id, 'manage'));
+  }
+
+  return true;
+};
+
+// Static method to find the active webhooks subscribed to a data event
+// whose creator may still receive it
+webhookSchema.statics.findForEvent = async function(event) {
+  const webhooks = await this.find({ ...this.scopeFor(event), isActive: true, events: event.type });
+  const allowed = await Promise.all(webhooks.map(webhook => webhook.isCreatorAllowed()));
+  return webhooks.filter((webhook, index) => allowed[index]);
+};
+
+// Static method to delete webhooks together with their delivery log
+webhookSchema.statics.deleteWithDeliveries = async function(filter) {
+  const ids = await this.distinct('_id', filter);
+  await WebhookDelivery.deleteMany({ webhook: { $in: ids } });
+  return this.deleteMany({ _id: { $in: ids } });
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Finished deliveries are kept this long in the delivery log
+const DELIVERY_LOG_TTL_SECONDS = 30 * 24 * 60 * 60;
+// Attempts kept per delivery; redelivering starts a new round of attempts
+const MAX_LOGGED_ATTEMPTS = 20;
+
+/**
+ * One event queued for delivery to a webhook
+ * The queue lives in this collection so pending deliveries survive restarts.
+ * A delivery is retried with exponential backoff while `pending`; once it
+ * runs out of attempts it is dead-lettered (`dead`) and can be redelivered
+ * by hand.
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  // Body sent on every attempt, so retries are identical
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'succeeded', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Claim of the worker sending it; an expired claim is picked up again
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  attemptLog: [{
+    _id: false,
+    at: Date,
+    responseStatus: Number,
+    error: String,
+    durationMs: Number
+  }]
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: DELIVERY_LOG_TTL_SECONDS, partialFilterExpression: { status: { $in: ['succeeded', 'dead'] } } }
+);
+
+// Instance method to log an attempt, keeping the latest MAX_LOGGED_ATTEMPTS
+webhookDeliverySchema.methods.logAttempt = function(attempt) {
+  this.attemptLog.push(attempt);
+  if (this.attemptLog.length > MAX_LOGGED_ATTEMPTS) {
+    this.attemptLog.splice(0, this.attemptLog.length - MAX_LOGGED_ATTEMPTS);
+  }
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
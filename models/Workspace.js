@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Data actions and management rights granted by each member role
+const MEMBER_ROLE_ACTIONS = {
+  owner: ['read', 'write', 'delete', 'manage'],
+  admin: ['read', 'write', 'delete', 'manage'],
+  editor: ['read', 'write', 'delete'],
+  viewer: ['read']
+};
+
+const MEMBER_ROLES = Object.keys(MEMBER_ROLE_ACTIONS);
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: MEMBER_ROLES,
+    default: 'viewer'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [memberSchema]
+}, {
+  timestamps: true
+});
+
+// Index for "my workspaces" lookups
+workspaceSchema.index({ 'members.user': 1 });
+
+// Instance method to get a user's member role (or null)
+workspaceSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(m => (m.user._id || m.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Instance method to check whether a user's member role allows an action
+workspaceSchema.methods.can = function(userId, action) {
+  const role = this.getMemberRole(userId);
+  return Boolean(role && MEMBER_ROLE_ACTIONS[role].includes(action));
+};
+
+// Static method to find the workspaces a user belongs to
+workspaceSchema.statics.findForUser = function(userId) {
+  return this.find({ 'members.user': userId });
+};
+
+// Static method to remove a user from every workspace
+// Owned workspaces pass to the longest-standing admin (or member); a
+// workspace with nobody left is deleted together with its records.
+workspaceSchema.statics.removeUser = async function(userId) {
+  const Data = mongoose.model('Data');
+  const workspaces = await this.findForUser(userId);
+
+  for (const workspace of workspaces) {
+    workspace.members = workspace.members.filter(m => m.user.toString() !== userId.toString());
+    await mongoose.model('ShareLink').revokeForWorkspace(userId, workspace._id);
+
+    if (workspace.owner.toString() === userId.toString()) {
+      if (workspace.members.length === 0) {
+        await Data.deleteMany({ workspace: workspace._id });
+        await mongoose.model('Category').deleteMany({ user: null, workspace: workspace._id });
+        await mongoose.model('Dashboard').deleteMany({ workspace: workspace._id });
+        await mongoose.model('SavedView').deleteMany({ workspace: workspace._id });
+        await mongoose.model('Webhook').deleteWithDeliveries({ workspace: workspace._id });
+        await workspace.deleteOne();
+        continue;
+      }
+
+      const successor = [...workspace.members].sort((a, b) => {
+        const rank = (m) => MEMBER_ROLES.indexOf(m.role);
+        return rank(a) - rank(b) || a.joinedAt - b.joinedAt;
+      })[0];
+
+      successor.role = 'owner';
+      workspace.owner = successor.user;
+    }
+
+    await workspace.save();
+  }
+};
+
+workspaceSchema.statics.MEMBER_ROLES = MEMBER_ROLES;
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const workspaceInvitationSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'editor', 'viewer'],
+    default: 'viewer'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for "my invitations" and per-workspace listings
+workspaceInvitationSchema.index({ email: 1, status: 1 });
+workspaceInvitationSchema.index({ workspace: 1, status: 1 });
+
+// Instance method to check whether the invitation can still be answered
+workspaceInvitationSchema.methods.isOpen = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('WorkspaceInvitation', workspaceInvitationSchema);
@@ -0,0 +1,867 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Workspace = require('../models/Workspace');
+const DataShare = require('../models/DataShare');
+const AuditEvent = require('../models/AuditEvent');
+const Data = require('../models/Data');
+const Category = require('../models/Category');
+const Dashboard = require('../models/Dashboard');
+const SavedView = require('../models/SavedView');
+const Webhook = require('../models/Webhook');
+const ShareLink = require('../models/ShareLink');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginAttempt = require('../models/LoginAttempt');
+const { sendTemplate } = require('../utils/mailer');
+const { buildSearchFilter, withSearchResults } = require('../utils/search');
+const { clearPermissionCache, getRolePermissions, hasPermission } = require('../utils/permissions');
+const { recordAudit, toAuditSnapshot } = require('../utils/audit');
+const { writeChunk } = require('../utils/stream');
+const { PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+const USER_SORT_FIELDS = ['createdAt', 'updatedAt', 'lastLogin', 'name', 'email'];
+
+// Every admin route requires authentication; each route checks its permission
+router.use(authenticateToken);
+
+/**
+ * Refuse admin actions that would lock the acting admin out
+ */
+const isSelf = (req) => req.params.id === req.user._id.toString();
+
+/**
+ * Whether the acting user holds every permission of a role
+ * Users may only hand out (or take away) roles no stronger than their own.
+ */
+const holdsRolePermissions = async (user, roleName) => {
+  const permissions = await getRolePermissions(roleName);
+  return hasPermission(user, ...permissions);
+};
+
+/**
+ * Whether the acting user holds every permission of a list
+ * Roles may only be given permissions their editor has, or `roles:manage`
+ * alone would be enough to grant `*`.
+ */
+const holdsPermissions = (user, permissions) => {
+  return hasPermission(user, ...permissions.map(String));
+};
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List users with filtering and pagination
+ * @access  Private (users:read)
+ */
+router.get('/users', requirePermission('users:read'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      role,
+      isActive,
+      emailVerified,
+      search,
+      sortBy,
+      sortOrder = 'desc'
+    } = req.query;
+
+    // Build filter object
+    const filter = {};
+
+    if (typeof role === 'string' && role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (emailVerified !== undefined) filter.emailVerified = emailVerified === 'true';
+
+    // Email addresses are matched literally; the text index splits them into words
+    const searchQuery = typeof search === 'string'
+      ? buildSearchFilter(search, User.SEARCH_FIELDS, { fallback: search.includes('@') })
+      : null;
+    const textSearch = Boolean(searchQuery && searchQuery.mode === 'text');
+
+    if (searchQuery && searchQuery.filter) {
+      Object.assign(filter, searchQuery.filter);
+    }
+
+    // Searches are ordered by relevance unless a sort field is given
+    const sortField = sortBy || (textSearch ? 'relevance' : 'createdAt');
+
+    if (!USER_SORT_FIELDS.includes(sortField) && sortField !== 'relevance') {
+      return res.status(400).json({
+        error: 'Invalid sort field'
+      });
+    }
+
+    const sort = sortField === 'relevance' && textSearch
+      ? { score: { $meta: 'textScore' }, _id: -1 }
+      : { [sortField === 'relevance' ? 'createdAt' : sortField]: sortOrder === 'desc' ? -1 : 1 };
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    let usersQuery = User.find(filter);
+    if (textSearch) usersQuery = usersQuery.select({ score: { $meta: 'textScore' } });
+
+    const users = await usersQuery
+      .sort(sort)
+      .limit(pageSize)
+      .skip((pageNumber - 1) * pageSize);
+
+    const total = await User.countDocuments(filter);
+
+    // Search results carry their relevance score and highlighted snippets
+    const searchResults = searchQuery && searchQuery.filter
+      ? withSearchResults(users, User.SEARCH_FIELDS, searchQuery)
+      : null;
+
+    res.json({
+      success: true,
+      users: users.map((user, index) => (searchResults
+        ? { ...user.getAdminProfile(), score: searchResults[index].score, highlights: searchResults[index].highlights }
+        : user.getAdminProfile())),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Get a user with their data statistics
+ * @access  Private (users:read)
+ */
+router.get('/users/:id', requirePermission('users:read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const byCategory = await Data.aggregate([
+      { $match: { user: user._id } },
+      {
+        $group: {
+          _id: '$category',
+          count: { $sum: 1 },
+          totalValue: { $sum: '$value' }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    const totalData = await Data.countDocuments({ user: user._id });
+    const activeData = await Data.countDocuments({ user: user._id, status: 'active' });
+    const activeSessions = await Session.countDocuments({
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    res.json({
+      success: true,
+      user: user.getAdminProfile(),
+      stats: {
+        totalData,
+        activeData,
+        byCategory,
+        activeSessions
+      }
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/admin/users/:id/role
+ * @desc    Change a user's role; both the old and new role must be covered
+ *          by the acting user's own permissions
+ * @access  Private (users:manage)
+ */
+router.patch('/users/:id/role', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (typeof role !== 'string' || !(await Role.exists({ name: role.toLowerCase() }))) {
+      return res.status(400).json({
+        error: 'Invalid role'
+      });
+    }
+
+    if (isSelf(req)) {
+      return res.status(400).json({
+        error: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    if (!(await holdsRolePermissions(req.user, role.toLowerCase())) || !(await holdsRolePermissions(req.user, user.role))) {
+      return res.status(403).json({
+        error: 'You cannot assign or revoke a role with permissions you do not have'
+      });
+    }
+
+    const before = user.getAdminProfile();
+    user.role = role.toLowerCase();
+    await user.save();
+
+    recordAudit(req, {
+      action: 'admin.user_role_changed',
+      target: { type: 'user', id: user._id },
+      before,
+      after: user.getAdminProfile()
+    });
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      user: user.getAdminProfile()
+    });
+  } catch (error) {
+    console.error('Admin change role error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/admin/users/:id/status
+ * @desc    Activate or deactivate a user (deactivation revokes all sessions)
+ * @access  Private (users:manage)
+ */
+router.patch('/users/:id/status', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        error: 'isActive must be a boolean'
+      });
+    }
+
+    if (isSelf(req)) {
+      return res.status(400).json({
+        error: 'You cannot change your own status'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const before = user.getAdminProfile();
+    user.isActive = isActive;
+    await user.save();
+
+    recordAudit(req, {
+      action: isActive ? 'admin.user_activated' : 'admin.user_deactivated',
+      target: { type: 'user', id: user._id },
+      before,
+      after: user.getAdminProfile()
+    });
+
+    res.json({
+      success: true,
+      message: isActive ? 'User activated successfully' : 'User deactivated successfully',
+      user: user.getAdminProfile()
+    });
+  } catch (error) {
+    console.error('Admin change status error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/users/:id/force-password-reset
+ * @desc    Revoke all sessions, block login and email a reset link
+ * @access  Private (users:manage)
+ */
+router.post('/users/:id/force-password-reset', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const token = user.createPasswordResetToken();
+    user.passwordResetRequired = true;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password_reset_forced');
+
+    recordAudit(req, {
+      action: 'admin.password_reset_forced',
+      target: { type: 'user', id: user._id }
+    });
+
+    sendTemplate('passwordReset', user, token);
+
+    res.json({
+      success: true,
+      message: 'Password reset enforced and reset link sent',
+      user: user.getAdminProfile()
+    });
+  } catch (error) {
+    console.error('Admin force password reset error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/users/:id
+ * @desc    Delete a user and all of their data
+ * @access  Private (users:manage)
+ */
+router.delete('/users/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (isSelf(req)) {
+      return res.status(400).json({
+        error: 'You cannot delete your own account here'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    // Cascade to everything owned by the user; shared workspace records stay with the team
+    const { deletedCount } = await Data.deleteMany({ user: user._id, workspace: null });
+    await Category.deleteMany({ user: user._id, workspace: null });
+    await Dashboard.deleteMany({ user: user._id, workspace: null });
+    await SavedView.deleteMany({ user: user._id });
+    await Webhook.deleteWithDeliveries({ user: user._id, workspace: null });
+    await ShareLink.deleteMany({ owner: user._id });
+    await Workspace.removeUser(user._id);
+    await DataShare.deleteMany({ user: user._id });
+    await Session.deleteMany({ user: user._id });
+    await LoginThrottle.reset(user.email);
+
+    await User.findByIdAndDelete(user._id);
+
+    recordAudit(req, {
+      action: 'admin.user_deleted',
+      target: { type: 'user', id: user._id },
+      before: user.getAdminProfile(),
+      metadata: { deletedData: deletedCount }
+    });
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully',
+      deletedData: deletedCount
+    });
+  } catch (error) {
+    console.error('Admin delete user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/users/:id/unlock
+ * @desc    Clear failed login attempts and lockout of a user
+ * @access  Private (users:manage)
+ */
+router.post('/users/:id/unlock', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    await LoginThrottle.reset(user.email);
+
+    recordAudit(req, {
+      action: 'admin.user_unlocked',
+      target: { type: 'user', id: user._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/users/:id/login-attempts
+ * @desc    Get recent login attempts and lockout state of a user
+ * @access  Private (users:read)
+ */
+router.get('/users/:id/login-attempts', requirePermission('users:read'), async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const attempts = await LoginAttempt.find({ email: user.email })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    const throttle = await LoginThrottle.findOne({ email: user.email });
+
+    res.json({
+      success: true,
+      lockout: {
+        failedAttempts: throttle ? throttle.failedAttempts : 0,
+        status: (throttle && throttle.getBlockReason()) || 'none',
+        blockedUntil: throttle ? throttle.blockedUntil : null,
+        lockedUntil: throttle ? throttle.lockedUntil : null
+      },
+      attempts
+    });
+  } catch (error) {
+    console.error('Get login attempts error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/permissions
+ * @desc    List every permission that can be granted to a role
+ * @access  Private (roles:manage)
+ */
+router.get('/permissions', requirePermission('roles:manage'), (req, res) => {
+  res.json({
+    success: true,
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    List roles with their permissions and member counts
+ * @access  Private (roles:manage)
+ */
+router.get('/roles', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 }).lean();
+    const counts = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const countByRole = Object.fromEntries(counts.map(c => [c._id, c.count]));
+
+    res.json({
+      success: true,
+      roles: roles.map(role => ({ ...role, userCount: countByRole[role.name] || 0 }))
+    });
+  } catch (error) {
+    console.error('List roles error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/roles
+ * @desc    Create a role
+ * @access  Private (roles:manage)
+ */
+router.post('/roles', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (!name || !Array.isArray(permissions)) {
+      return res.status(400).json({
+        error: 'Name and permissions are required'
+      });
+    }
+
+    if (await Role.exists({ name: String(name).toLowerCase().trim() })) {
+      return res.status(400).json({
+        error: 'Role with this name already exists'
+      });
+    }
+
+    if (!(await holdsPermissions(req.user, permissions))) {
+      return res.status(403).json({
+        error: 'You cannot grant permissions you do not have'
+      });
+    }
+
+    const role = await Role.create({ name, description, permissions });
+
+    recordAudit(req, {
+      action: 'admin.role_created',
+      target: { type: 'role', id: role._id },
+      after: role
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/roles/:name
+ * @desc    Update a role's description or permissions (system roles keep theirs)
+ * @access  Private (roles:manage)
+ */
+router.put('/roles/:name', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { description, permissions } = req.body;
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        error: 'Role not found'
+      });
+    }
+
+    if (!(await holdsPermissions(req.user, role.permissions))) {
+      return res.status(403).json({
+        error: 'You cannot change a role with permissions you do not have'
+      });
+    }
+
+    const before = toAuditSnapshot(role);
+
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) {
+      if (role.isSystem) {
+        return res.status(400).json({
+          error: 'Permissions of system roles cannot be changed'
+        });
+      }
+
+      if (!Array.isArray(permissions)) {
+        return res.status(400).json({
+          error: 'Permissions must be an array'
+        });
+      }
+
+      if (!(await holdsPermissions(req.user, permissions))) {
+        return res.status(403).json({
+          error: 'You cannot grant permissions you do not have'
+        });
+      }
+      role.permissions = permissions;
+    }
+
+    await role.save();
+    clearPermissionCache();
+
+    recordAudit(req, {
+      action: 'admin.role_updated',
+      target: { type: 'role', id: role._id },
+      before,
+      after: role
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/roles/:name
+ * @desc    Delete a role that no user holds
+ * @access  Private (roles:manage)
+ */
+router.delete('/roles/:name', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        error: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        error: 'System roles cannot be deleted'
+      });
+    }
+
+    if (!(await holdsPermissions(req.user, role.permissions))) {
+      return res.status(403).json({
+        error: 'You cannot delete a role with permissions you do not have'
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(409).json({
+        error: 'Role is still assigned to users',
+        userCount
+      });
+    }
+
+    await role.deleteOne();
+    clearPermissionCache();
+
+    recordAudit(req, {
+      action: 'admin.role_deleted',
+      target: { type: 'role', id: role._id },
+      before: role
+    });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Build the audit event filter from query parameters
+ * Returns null if a parameter is invalid
+ */
+const buildAuditFilter = ({ action, actor, targetType, targetId, from, to }) => {
+  const filter = {};
+
+  if (action) {
+    const actions = String(action).split(',').map(a => a.trim()).filter(Boolean);
+    filter.action = actions.length === 1 ? actions[0] : { $in: actions };
+  }
+
+  if (actor) {
+    if (!mongoose.isValidObjectId(actor)) return null;
+    filter.actor = actor;
+  }
+
+  if (targetType) filter['target.type'] = String(targetType);
+
+  if (targetId) {
+    if (!mongoose.isValidObjectId(targetId)) return null;
+    filter['target.id'] = targetId;
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+
+    if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) return null;
+  }
+
+  return filter;
+};
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    List audit events (filters: action, actor, targetType, targetId, from, to)
+ * @access  Private (audit:read)
+ */
+router.get('/audit', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const filter = buildAuditFilter(req.query);
+
+    if (!filter) {
+      return res.status(400).json({
+        error: 'Invalid audit filter'
+      });
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const events = await AuditEvent.find(filter)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip((pageNumber - 1) * pageSize);
+
+    const total = await AuditEvent.countDocuments(filter);
+
+    res.json({
+      success: true,
+      events,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('List audit events error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/audit/export
+ * @desc    Stream audit events matching the list filters as NDJSON
+ * @access  Private (audit:read)
+ */
+router.get('/audit/export', requirePermission('audit:read'), async (req, res) => {
+  const filter = buildAuditFilter(req.query);
+
+  if (!filter) {
+    return res.status(400).json({
+      error: 'Invalid audit filter'
+    });
+  }
+
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Content-Disposition', `attachment; filename="audit-${Date.now()}.ndjson"`);
+
+  try {
+    const cursor = AuditEvent.find(filter).sort({ createdAt: 1 }).lean().cursor();
+
+    for await (const event of cursor) {
+      if (!(await writeChunk(res, JSON.stringify(event) + '\n'))) {
+        await cursor.close();
+        return;
+      }
+    }
+
+    res.end();
+  } catch (error) {
+    console.error('Export audit events error:', error);
+    // Headers are already sent; cut the stream so the client sees a failure
+    res.destroy(error);
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,22 @@
 const express = require('express');
 const passport = require('passport');
-const { generateToken, hashPassword } = require('../config/passport');
+const {
+  completeLogin,
+  logLoginAttempt,
+  issueAuthTokens,
+  rotateAuthTokens,
+  generateChallengeToken,
+  verifyChallengeToken,
+  consumeChallengeToken,
+  hashPassword
+} = require('../config/passport');
+const { authenticate, authenticateToken } = require('../middleware/auth');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const { hashToken } = require('../utils/tokens');
+const { sendTemplate } = require('../utils/mailer');
+const { recordAudit } = require('../utils/audit');
 
 const router = express.Router();
 
@@ -34,14 +49,26 @@ router.post('/register', async (req, res) => {
       lastName
     });
 
+    // Create email verification token
+    const verificationToken = user.createEmailVerificationToken();
+
     await user.save();
 
-    // Generate token
-    const token = generateToken(user);
+    sendTemplate('emailVerification', user, verificationToken);
+
+    recordAudit(req, {
+      action: 'auth.register',
+      actor: user,
+      target: { type: 'user', id: user._id },
+      after: user.getPublicProfile()
+    });
+
+    // Start session and generate tokens
+    const tokens = await issueAuthTokens(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: user.getPublicProfile()
     });
   } catch (error) {
@@ -58,7 +85,7 @@ router.post('/register', async (req, res) => {
  * @access  Public
  */
 router.post('/login', (req, res, next) => {
-  passport.authenticate('local', (err, user, info) => {
+  passport.authenticate('local', async (err, user, info) => {
     if (err) {
       return res.status(500).json({
         error: 'Internal server error'
@@ -71,19 +98,466 @@ router.post('/login', (req, res, next) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user);
+    try {
+      // Second step required: hand out a challenge instead of tokens
+      if (user.twoFactor.enabled) {
+        return res.json({
+          message: 'Two-factor authentication required',
+          twoFactorRequired: true,
+          challengeToken: await generateChallengeToken(user)
+        });
+      }
+
+      // Start session and generate tokens
+      const tokens = await issueAuthTokens(user, req);
+
+      res.json({
+        message: 'Login successful',
+        ...tokens,
+        twoFactorSetupRequired: user.mustEnrollTwoFactor(),
+        user: user.getPublicProfile()
+      });
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({
+        error: 'Internal server error'
+      });
+    }
+  })(req, res, next);
+});
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete a 2FA login with a TOTP or recovery code
+ * @access  Public
+ */
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: 'Challenge token and code or recovery code are required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Invalid or expired challenge token'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user || !user.isActive || !user.twoFactor.enabled || !decoded.jti || user.twoFactor.challengeId !== decoded.jti) {
+      return res.status(401).json({
+        error: 'Invalid or expired challenge token'
+      });
+    }
+
+    // Second step shares the per-account back-off with the password step
+    const { blockReason } = await LoginThrottle.reserveAttempt(user.email);
+    if (blockReason) {
+      await logLoginAttempt(req, { email: user.email, user, success: false, reason: blockReason });
+      return res.status(401).json({
+        error: 'Invalid two-factor code'
+      });
+    }
+
+    const verified = code
+      ? user.verifyTwoFactorCode(code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!verified) {
+      await logLoginAttempt(req, { email: user.email, user, success: false, reason: 'invalid_two_factor_code' });
+      return res.status(401).json({
+        error: 'Invalid two-factor code'
+      });
+    }
+
+    // A challenge completes one login; a concurrent request may have used it
+    if (!(await consumeChallengeToken(decoded))) {
+      return res.status(401).json({
+        error: 'Invalid or expired challenge token'
+      });
+    }
+
+    await completeLogin(req, user);
+
+    // Start session and generate tokens
+    const tokens = await issueAuthTokens(user, req);
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
       user: user.getPublicProfile()
     });
-  })(req, res, next);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
 });
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'Refresh token is required'
+      });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
 
+    if (!session) {
+      // A rotated token being replayed means the family is compromised
+      const compromised = await Session.findOne({ rotatedTokenHashes: tokenHash });
+      if (compromised && !compromised.revokedAt) {
+        await compromised.revoke('refresh_token_reuse');
+      }
 
+      return res.status(401).json({
+        error: 'Invalid refresh token'
+      });
+    }
 
+    if (!session.isValid()) {
+      return res.status(401).json({
+        error: 'Session has been revoked or expired'
+      });
+    }
+
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      await session.revoke('account_deactivated');
+      return res.status(401).json({
+        error: 'Account is deactivated'
+      });
+    }
+
+    const tokens = await rotateAuthTokens(user, session, req);
+
+    // Another request rotated the same token first: it was used twice
+    if (!tokens) {
+      await session.revoke('refresh_token_reuse');
+
+      return res.status(401).json({
+        error: 'Invalid refresh token'
+      });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the current session
+ * @access  Private
+ */
+router.post('/logout', authenticate({ allowUnverified: true, allowTwoFactorSetup: true }), async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Revoke every session of the logged-in user
+ * @access  Private
+ */
+router.post('/logout-all', authenticate({ allowUnverified: true, allowTwoFactorSetup: true }), async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Logged out from all sessions',
+      revokedSessions: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions of the logged-in user
+ * @access  Private
+ */
+router.get('/sessions', authenticate({ allowUnverified: true, allowTwoFactorSetup: true }), async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session.getPublicInfo(),
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one session of the logged-in user
+ * @access  Private
+ */
+router.delete('/sessions/:id', authenticate({ allowUnverified: true, allowTwoFactorSetup: true }), async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+
+    if (!session.revokedAt) {
+      await session.revoke('revoked_by_user');
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid session ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+
+/**
+ * @route   GET /api/auth/verify-email
+ * @desc    Verify email address with a verification token
+ * @access  Public
+ */
+router.get('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        error: 'Verification token is required'
+      });
+    }
+
+    const user = await User.findByEmailVerificationToken(token);
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid or expired verification token'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = null;
+    user.emailVerificationExpires = null;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      user: user.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+router.post('/resend-verification', authenticate({ allowUnverified: true }), async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        error: 'Email is already verified'
+      });
+    }
+
+    const token = req.user.createEmailVerificationToken();
+    await req.user.save();
+
+    sendTemplate('emailVerification', req.user, token);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Email a password reset link to the active account with this email, if any
+ */
+const sendPasswordReset = async (email) => {
+  const user = await User.findOne({ email });
+
+  if (user && user.isActive) {
+    const token = user.createPasswordResetToken();
+    await user.save();
+    await sendTemplate('passwordReset', user, token);
+  }
+};
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        error: 'Email is required'
+      });
+    }
+
+    // Runs in the background, so neither the response time nor a failure
+    // reveals whether the account exists
+    sendPasswordReset(email.toLowerCase().trim()).catch(error => {
+      console.error('Send password reset error:', error);
+    });
+
+    // Same response whether or not the email is registered
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Reset password with a reset token
+ * @access  Public
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        error: 'Token and password are required'
+      });
+    }
+
+    if (typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({
+        error: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const user = await User.findByPasswordResetToken(token);
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    // Tokens are single use
+    user.password = await hashPassword(password);
+    user.passwordResetTokenHash = null;
+    user.passwordResetExpires = null;
+    user.passwordChangedAt = new Date();
+    user.passwordResetRequired = false;
+    // Receiving the reset link proves ownership of the address
+    user.emailVerified = true;
+    await user.save();
+
+    // Invalidate every existing login
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    recordAudit(req, {
+      action: 'auth.password_reset',
+      actor: user,
+      target: { type: 'user', id: user._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
 
 module.exports = router;
@@ -0,0 +1,293 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveDataScope, requireWorkspaceAction } = require('../middleware/dataAccess');
+const Category = require('../models/Category');
+const Data = require('../models/Data');
+const { recordAudit } = require('../utils/audit');
+
+// Mounted at /api/categories and /api/workspaces/:workspaceId/categories
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateToken, resolveDataScope);
+
+/**
+ * Move every record of a space from one category to another
+ * Records are saved one by one so each change gets its revision; records
+ * that keep being changed meanwhile stay put and are counted as failed
+ * (Data.updateEach). Returns { modified, failed }.
+ */
+const moveRecords = (dataScope, from, to, userId) => {
+  return Data.updateEach({ ...dataScope, category: from }, data => {
+    data.category = to;
+    return data.saveAs(userId);
+  });
+};
+
+/**
+ * Middleware to load the category in req.params.id from the current space
+ */
+const loadCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findOne({ _id: req.params.id, ...Category.scopeFor(req.dataScope) });
+
+    if (!category) {
+      return res.status(404).json({
+        error: 'Category not found'
+      });
+    }
+
+    req.category = category;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid category ID'
+      });
+    }
+
+    console.error('Load category error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/categories
+ * @route   GET /api/workspaces/:workspaceId/categories
+ * @desc    List the categories of the space with their record counts
+ * @access  Private
+ */
+router.get('/', requirePermission('data:read'), async (req, res) => {
+  try {
+    const categories = await Category.findForScope(Category.scopeFor(req.dataScope));
+
+    const counts = await Data.aggregate([
+      { $match: req.dataScope },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+    const countByName = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    res.json({
+      success: true,
+      categories: categories.map(category => ({
+        ...category.toObject(),
+        recordCount: countByName.get(category.name) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/categories
+ * @route   POST /api/workspaces/:workspaceId/categories
+ * @desc    Create a category
+ * @access  Private
+ */
+router.post('/', requirePermission('data:write'), requireWorkspaceAction('manage'), async (req, res) => {
+  try {
+    const { name, color, icon, sortOrder } = req.body;
+    const scope = Category.scopeFor(req.dataScope);
+
+    // Seed the defaults first so the new category is not the space's only one
+    await Category.ensureDefaults(scope);
+
+    const category = await Category.create({
+      name,
+      color,
+      icon,
+      sortOrder,
+      ...scope,
+      createdBy: req.user._id
+    });
+
+    recordAudit(req, {
+      action: 'category.created',
+      target: { type: 'category', id: category._id },
+      after: category
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      category
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'A category with that name already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/categories/:id
+ * @route   PUT /api/workspaces/:workspaceId/categories/:id
+ * @desc    Update a category; renaming it updates the records using it first,
+ *          and the category keeps its name if some of them could not be moved
+ * @access  Private
+ */
+router.put('/:id', requirePermission('data:write'), requireWorkspaceAction('manage'), loadCategory, async (req, res) => {
+  try {
+    const { name, color, icon, sortOrder } = req.body;
+    const before = req.category.toObject();
+
+    if (name !== undefined) req.category.name = name;
+    if (color !== undefined) req.category.color = color;
+    if (icon !== undefined) req.category.icon = icon;
+    if (sortOrder !== undefined) req.category.sortOrder = sortOrder;
+
+    const renamed = req.category.isModified('name') ? before.name : null;
+    let movedRecords = 0;
+
+    // Records move before the category is renamed, so a failed move leaves
+    // the category under its old name for the records still using it
+    if (renamed) {
+      await req.category.validate();
+
+      if (await Category.exists({ ...Category.scopeFor(req.dataScope), name: req.category.name })) {
+        return res.status(409).json({
+          error: 'A category with that name already exists'
+        });
+      }
+
+      const moved = await moveRecords(req.dataScope, renamed, req.category.name, req.user._id);
+      movedRecords = moved.modified;
+
+      if (moved.failed > 0) {
+        return res.status(409).json({
+          error: 'Some records were changed in the meantime; the category was not renamed. Try again.',
+          movedRecords,
+          failedRecords: moved.failed
+        });
+      }
+    }
+
+    await req.category.save();
+
+    recordAudit(req, {
+      action: 'category.updated',
+      target: { type: 'category', id: req.category._id },
+      before,
+      after: req.category,
+      metadata: renamed ? { movedRecords } : null
+    });
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      category: req.category,
+      movedRecords
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'A category with that name already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/categories/:id
+ * @route   DELETE /api/workspaces/:workspaceId/categories/:id
+ * @desc    Delete a category; records using it must be moved (?reassignTo=<category name>)
+ * @access  Private
+ */
+router.delete('/:id', requirePermission('data:write'), requireWorkspaceAction('manage'), loadCategory, async (req, res) => {
+  try {
+    const scope = Category.scopeFor(req.dataScope);
+    const { reassignTo } = req.query;
+
+    if ((await Category.countDocuments(scope)) <= 1) {
+      return res.status(400).json({
+        error: 'The last category cannot be deleted'
+      });
+    }
+
+    const recordCount = await Data.countDocuments({ ...req.dataScope, category: req.category.name });
+    let movedRecords = 0;
+
+    if (recordCount > 0) {
+      if (!reassignTo) {
+        return res.status(409).json({
+          error: 'Category is in use. Pass reassignTo to move its records to another category.',
+          recordCount
+        });
+      }
+
+      const target = await Category.findOne({ ...scope, name: String(reassignTo).trim().toLowerCase() });
+
+      if (!target || target._id.equals(req.category._id)) {
+        return res.status(400).json({
+          error: 'reassignTo must name another category of this space'
+        });
+      }
+
+      const moved = await moveRecords(req.dataScope, req.category.name, target.name, req.user._id);
+      movedRecords = moved.modified;
+
+      if (moved.failed > 0) {
+        return res.status(409).json({
+          error: 'Some records were changed in the meantime; the category was not deleted. Try again.',
+          movedRecords,
+          failedRecords: moved.failed
+        });
+      }
+    }
+
+    await req.category.deleteOne();
+
+    recordAudit(req, {
+      action: 'category.deleted',
+      target: { type: 'category', id: req.category._id },
+      before: req.category,
+      metadata: { movedRecords, reassignTo: movedRecords > 0 ? reassignTo : null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+      movedRecords
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,317 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveDataScope, requireWorkspaceAction } = require('../middleware/dataAccess');
+const Dashboard = require('../models/Dashboard');
+const Workspace = require('../models/Workspace');
+const { recordAudit } = require('../utils/audit');
+const { renderDashboard } = require('../utils/dashboards');
+
+// Mounted at /api/dashboards and /api/workspaces/:workspaceId/dashboards
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateToken, requirePermission('data:read'), resolveDataScope);
+
+/**
+ * Work out what a user may do with a dashboard
+ * Owners (or workspace members, by role) can use it fully; anyone can
+ * read a public dashboard but only sees public records on it.
+ */
+const getDashboardAccess = async (user, dashboard) => {
+  let member = false;
+  let canWrite = false;
+  let canDelete = false;
+
+  if (dashboard.workspace) {
+    const workspace = await Workspace.findById(dashboard.workspace);
+    if (workspace && workspace.getMemberRole(user._id)) {
+      member = true;
+      canWrite = workspace.can(user._id, 'write');
+      canDelete = workspace.can(user._id, 'delete');
+    }
+  } else if (dashboard.user.equals(user._id)) {
+    member = true;
+    canWrite = true;
+    canDelete = true;
+  }
+
+  return {
+    member,
+    read: member || dashboard.isPublic,
+    write: canWrite,
+    delete: canDelete
+  };
+};
+
+/**
+ * Middleware to load the dashboard in req.params.id and authorize an action
+ * Attaches req.dashboard and req.dashboardAccess. Unless `anyScope` is set,
+ * workspace-scoped routes only see that workspace's dashboards.
+ */
+const loadDashboard = (action, { anyScope = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const dashboard = await Dashboard.findById(req.params.id);
+      const outOfScope = dashboard && !anyScope && req.workspace && !req.workspace._id.equals(dashboard.workspace);
+
+      const access = dashboard && !outOfScope ? await getDashboardAccess(req.user, dashboard) : null;
+
+      if (!access || !access.read) {
+        return res.status(404).json({
+          error: 'Dashboard not found'
+        });
+      }
+
+      if (!access[action]) {
+        return res.status(403).json({
+          error: 'Access denied'
+        });
+      }
+
+      req.dashboard = dashboard;
+      req.dashboardAccess = access;
+      next();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          error: 'Invalid dashboard ID'
+        });
+      }
+
+      console.error('Load dashboard error:', error);
+      res.status(500).json({
+        error: 'Internal server error'
+      });
+    }
+  };
+};
+
+/**
+ * Respond to a failed dashboard write: 400 for validation errors, 500 otherwise
+ */
+const handleDashboardError = (res, error, label) => {
+  console.error(`${label} error:`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation error',
+      details: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  res.status(500).json({
+    error: 'Internal server error'
+  });
+};
+
+/**
+ * @route   GET /api/dashboards
+ * @route   GET /api/workspaces/:workspaceId/dashboards
+ * @desc    List the dashboards of the space (?public=true for everyone's public dashboards)
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.public === 'true'
+      ? { isPublic: true }
+      : req.workspace
+        ? { workspace: req.workspace._id }
+        : { user: req.user._id, workspace: null };
+
+    const dashboards = await Dashboard.find(filter)
+      .select('-widgets')
+      .populate('user', 'name')
+      .sort({ updatedAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      dashboards
+    });
+  } catch (error) {
+    console.error('Get dashboards error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/dashboards
+ * @route   POST /api/workspaces/:workspaceId/dashboards
+ * @desc    Create a dashboard
+ * @access  Private
+ */
+router.post('/', requireWorkspaceAction('write'), async (req, res) => {
+  try {
+    const { name, description, isPublic, widgets } = req.body;
+
+    const dashboard = await Dashboard.create({
+      name,
+      description,
+      isPublic,
+      widgets,
+      user: req.user._id,
+      workspace: req.workspace ? req.workspace._id : null
+    });
+
+    recordAudit(req, {
+      action: 'dashboard.created',
+      target: { type: 'dashboard', id: dashboard._id },
+      after: dashboard
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dashboard created successfully',
+      dashboard
+    });
+  } catch (error) {
+    handleDashboardError(res, error, 'Create dashboard');
+  }
+});
+
+/**
+ * @route   GET /api/dashboards/:id
+ * @route   GET /api/workspaces/:workspaceId/dashboards/:id
+ * @desc    Get a dashboard with its widgets
+ * @access  Private
+ */
+router.get('/:id', loadDashboard('read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      dashboard: req.dashboard,
+      access: {
+        write: req.dashboardAccess.write,
+        delete: req.dashboardAccess.delete
+      }
+    });
+  } catch (error) {
+    console.error('Get dashboard error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/dashboards/:id
+ * @route   PUT /api/workspaces/:workspaceId/dashboards/:id
+ * @desc    Update a dashboard; widgets, when given, replace the whole layout
+ * @access  Private
+ */
+router.put('/:id', loadDashboard('write'), async (req, res) => {
+  try {
+    const { name, description, isPublic, widgets } = req.body;
+    const before = req.dashboard.toObject();
+
+    if (name !== undefined) req.dashboard.name = name;
+    if (description !== undefined) req.dashboard.description = description;
+    if (isPublic !== undefined) req.dashboard.isPublic = isPublic;
+    if (widgets !== undefined) req.dashboard.widgets = widgets;
+
+    await req.dashboard.save();
+
+    recordAudit(req, {
+      action: 'dashboard.updated',
+      target: { type: 'dashboard', id: req.dashboard._id },
+      before,
+      after: req.dashboard
+    });
+
+    res.json({
+      success: true,
+      message: 'Dashboard updated successfully',
+      dashboard: req.dashboard
+    });
+  } catch (error) {
+    handleDashboardError(res, error, 'Update dashboard');
+  }
+});
+
+/**
+ * @route   DELETE /api/dashboards/:id
+ * @route   DELETE /api/workspaces/:workspaceId/dashboards/:id
+ * @desc    Delete a dashboard
+ * @access  Private
+ */
+router.delete('/:id', loadDashboard('delete'), async (req, res) => {
+  try {
+    await req.dashboard.deleteOne();
+
+    recordAudit(req, {
+      action: 'dashboard.deleted',
+      target: { type: 'dashboard', id: req.dashboard._id },
+      before: req.dashboard
+    });
+
+    res.json({
+      success: true,
+      message: 'Dashboard deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete dashboard error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/dashboards/:id/duplicate
+ * @route   POST /api/workspaces/:workspaceId/dashboards/:id/duplicate
+ * @desc    Copy a readable dashboard into the current space
+ * @access  Private
+ */
+router.post('/:id/duplicate', requireWorkspaceAction('write'), loadDashboard('read', { anyScope: true }), async (req, res) => {
+  try {
+    const dashboard = req.dashboard.duplicate(req.user._id, req.workspace ? req.workspace._id : null);
+    if (req.body.name) dashboard.name = req.body.name;
+    await dashboard.save();
+
+    recordAudit(req, {
+      action: 'dashboard.created',
+      target: { type: 'dashboard', id: dashboard._id },
+      after: dashboard,
+      metadata: { duplicatedFrom: req.dashboard._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dashboard duplicated successfully',
+      dashboard
+    });
+  } catch (error) {
+    handleDashboardError(res, error, 'Duplicate dashboard');
+  }
+});
+
+/**
+ * @route   GET /api/dashboards/:id/render
+ * @route   GET /api/workspaces/:workspaceId/dashboards/:id/render
+ * @desc    Resolve the data of every widget of a dashboard
+ * @access  Private
+ */
+router.get('/:id/render', loadDashboard('read'), async (req, res) => {
+  try {
+    const widgets = await renderDashboard(req.dashboard, {
+      user: req.user,
+      dataScope: req.dashboard.getDataScope(),
+      publicOnly: !req.dashboardAccess.member
+    });
+
+    res.json({
+      success: true,
+      dashboard: req.dashboard,
+      renderedAt: new Date(),
+      widgets
+    });
+  } catch (error) {
+    console.error('Render dashboard error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,57 +1,61 @@
 const express = require('express');
-const { authenticateToken, requireOwnership } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { canAccessData, resolveDataScope, requireWorkspaceAction, authorizeData } = require('../middleware/dataAccess');
+const { recordAudit, toAuditSnapshot } = require('../utils/audit');
+const { validateDataInput } = require('../utils/dataValidation');
+const { DATA_SEARCH_FIELDS, buildListQuery, resolveListParams } = require('../utils/dataQuery');
+const { withSearchResults } = require('../utils/search');
+const { TIMESERIES_INTERVALS, MAX_BUCKETS, toLocalDate, listBuckets, getDataSummary, getDataTimeseries } = require('../utils/dataStats');
+const { MAX_BULK_ITEMS, prepareOperation, applyOperation } = require('../utils/dataBulk');
+const { normalizeTag } = require('../utils/tags');
+const { parsePageSize, paginate } = require('../utils/pagination');
 const Data = require('../models/Data');
+const Category = require('../models/Category');
+const DataRevision = require('../models/DataRevision');
 
-const router = express.Router();
+// mergeParams exposes :workspaceId when mounted under /api/workspaces/:workspaceId/data
+const router = express.Router({ mergeParams: true });
 
 /**
  * @route   POST /api/data
+ * @route   POST /api/workspaces/:workspaceId/data
  * @desc    Create new data record
  * @access  Private
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('data:write'), resolveDataScope, requireWorkspaceAction('write'), async (req, res) => {
   try {
-    const { title, description, category, value, unit, tags, isPublic } = req.body;
-    
-    // Validate required fields
-    if (!title || !category || value === undefined) {
-      return res.status(400).json({
-        error: 'Title, category, and value are required'
-      });
-    }
-    
-    // Validate category
-    const validCategories = ['analytics', 'reports', 'insights', 'metrics', 'other'];
-    if (!validCategories.includes(category)) {
-      return res.status(400).json({
-        error: 'Invalid category'
-      });
-    }
-    
-    // Validate value
-    if (typeof value !== 'number' || value < 0) {
+    const categories = await Category.namesForScope(Category.scopeFor(req.dataScope));
+    const { fields, errors } = validateDataInput(req.body, { categories });
+
+    if (errors.length > 0) {
       return res.status(400).json({
-        error: 'Value must be a positive number'
+        error: errors[0],
+        details: errors
       });
     }
     
     // Create new data record
     const newData = new Data({
-      title: title.trim(),
-      description: description ? description.trim() : '',
-      category,
-      value,
-      unit: unit ? unit.trim() : '',
-      tags: tags && Array.isArray(tags) ? tags.filter(tag => tag.trim()) : [],
-      isPublic: isPublic || false,
+      description: '',
+      unit: '',
+      tags: [],
+      isPublic: false,
+      ...fields,
       user: req.user._id,
+      workspace: req.workspace ? req.workspace._id : null,
       metadata: {
-        source: req.body.metadata?.source || 'manual',
-        version: '1.0.0'
+        source: req.body.metadata?.source || 'manual'
       }
     });
     
-    await newData.save();
+    await newData.saveAs(req.user._id);
+
+    recordAudit(req, {
+      action: 'data.created',
+      target: { type: 'data', id: newData._id },
+      after: newData
+    });
     
     // Populate user info
     await newData.populate('user', 'name email');
@@ -79,59 +83,61 @@ router.post('/', authenticateToken, async (req, res) => {
 
 /**
  * @route   GET /api/data
- * @desc    Fetch data records with filtering and pagination
+ * @route   GET /api/workspaces/:workspaceId/data
+ * @desc    Fetch data records with filtering and pagination (?shared=true for records shared with me,
+ *          ?view=<id> to apply a saved view). Filters use the syntax of utils/dataFilter,
+ *          e.g. ?value[gte]=100&tags[all]=q3,prod&category=reports,metrics.
+ *          ?search= runs a full-text search ("phrases", prefix*, -excluded) sorted
+ *          by relevance unless sortBy is given.
+ *          Page with ?page= or with the ?after=/?before= cursors of the previous
+ *          response; ?count=false skips the total. Relevance pages have no
+ *          cursors: to page a search by cursor, sort it by a field (cursors
+ *          without sortBy follow createdAt).
  * @access  Private
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('data:read'), resolveDataScope, async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      category,
-      status,
-      search,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
-    
-    // Build filter object
-    const filter = { user: req.user._id };
-    
-    if (category) filter.category = category;
-    if (status) filter.status = status;
-    
-    if (search) {
-      const searchRegex = new RegExp(search.trim(), 'i');
-      filter.$or = [
-        { title: searchRegex },
-        { description: searchRegex },
-        { tags: searchRegex }
-      ];
+    // Saved view parameters, overridden by the query string
+    const resolved = await resolveListParams(req);
+    if (resolved.error) {
+      return res.status(resolved.status).json({
+        error: resolved.error
+      });
+    }
+    const { params, view, searchFallback } = resolved;
+    const { page = 1, limit = 10, after, before, count } = params;
+
+    const query = await buildListQuery(req, params, { allow: ['after', 'before', 'count'], searchFallback });
+    if (query.error) {
+      return res.status(query.status).json({
+        error: query.error,
+        details: query.details
+      });
+    }
+
+    // Offset paging (?page=) or cursor paging (?after= / ?before=)
+    const result = await paginate(Data, query.filter, {
+      sort: query.sort,
+      limit: parsePageSize(limit),
+      page,
+      after,
+      before,
+      count: count !== 'false',
+      prepare: find => (query.projection ? find.select(query.projection) : find).populate('user', 'name email')
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        error: result.error
+      });
     }
-    
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-    
-    // Execute query with pagination
-    const data = await Data.find(filter)
-      .populate('user', 'name email')
-      .sort(sort)
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit));
-    
-    // Get total count for pagination
-    const total = await Data.countDocuments(filter);
     
     res.json({
       success: true,
-      data,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit))
-      }
+      // Search results carry their relevance score and highlighted snippets
+      data: query.search ? withSearchResults(result.items, DATA_SEARCH_FIELDS, query.search) : result.items,
+      view: view ? { _id: view._id, name: view.name } : null,
+      pagination: result.pagination
     });
   } catch (error) {
     console.error('Get data error:', error);
@@ -142,41 +148,239 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 /**
- * @route   GET /api/data/:id
- * @desc    Get single data record by ID
+ * @route   POST /api/data/bulk
+ * @route   POST /api/workspaces/:workspaceId/data/bulk
+ * @desc    Apply one operation to many records selected by ids or list filters
+ *          Body: { ids | filter, operation, data, atomic }. With atomic, any
+ *          failing item aborts the whole operation and the writes run in one
+ *          transaction, which needs MongoDB running as a replica set.
  * @access  Private
  */
-router.get('/:id', authenticateToken, async (req, res) => {
+router.post('/bulk', authenticateToken, resolveDataScope, async (req, res) => {
   try {
-    const data = await Data.findById(req.params.id)
-      .populate('user', 'name email');
-    
-    if (!data) {
-      return res.status(404).json({
-        error: 'Data record not found'
+    const { ids, filter: filterParams, operation, data: payload, atomic = false } = req.body;
+
+    const { changes, errors } = prepareOperation(operation, payload);
+    if (errors) {
+      return res.status(400).json({
+        error: errors[0],
+        details: errors
       });
     }
-    
-    // Check ownership
-    if (data.user._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        error: 'Access denied'
+
+    if (Array.isArray(ids) === Boolean(filterParams)) {
+      return res.status(400).json({
+        error: 'Provide either a list of ids or a filter'
       });
     }
-    
+
+    let records;
+    let requestedIds;
+
+    if (ids) {
+      requestedIds = [...new Set(ids.map(String))];
+
+      if (requestedIds.length === 0 || requestedIds.length > MAX_BULK_ITEMS) {
+        return res.status(400).json({
+          error: `Between 1 and ${MAX_BULK_ITEMS} ids are required`
+        });
+      }
+
+      records = await Data.find({ _id: { $in: requestedIds.filter(id => mongoose.isValidObjectId(id)) } });
+    } else {
+      if (typeof filterParams !== 'object' || Array.isArray(filterParams)) {
+        return res.status(400).json({
+          error: 'Filter must be an object'
+        });
+      }
+
+      const query = await buildListQuery(req, filterParams);
+      if (query.error) {
+        return res.status(query.status).json({
+          error: query.error,
+          details: query.details
+        });
+      }
+
+      records = await Data.find(query.filter).sort(query.sort).limit(MAX_BULK_ITEMS + 1);
+
+      if (records.length > MAX_BULK_ITEMS) {
+        return res.status(400).json({
+          error: `Filter matches more than ${MAX_BULK_ITEMS} records; narrow it down or pass ids`
+        });
+      }
+
+      requestedIds = records.map(record => record._id.toString());
+    }
+
+    const action = operation === 'delete' ? 'delete' : 'write';
+    const recordsById = new Map(records.map(record => [record._id.toString(), record]));
+    const results = [];
+    const ready = [];
+
+    // Records may come from different spaces, each with its own categories
+    const categoryNames = new Map();
+    const isValidCategory = async (record, name) => {
+      const scope = Category.scopeForData(record);
+      const key = `${scope.user}:${scope.workspace}`;
+      if (!categoryNames.has(key)) {
+        categoryNames.set(key, await Category.namesForScope(scope));
+      }
+      return categoryNames.get(key).includes(name);
+    };
+
+    // Authorize and validate every item before writing anything
+    for (const id of requestedIds) {
+      const result = { id, success: false };
+      results.push(result);
+
+      const record = recordsById.get(id);
+      const outOfScope = record && req.workspace && (!record.workspace || !record.workspace.equals(req.workspace._id));
+
+      if (!mongoose.isValidObjectId(id)) {
+        result.error = 'Invalid data ID';
+        continue;
+      }
+
+      if (!record || outOfScope) {
+        result.error = 'Data record not found';
+        continue;
+      }
+
+      if (!(await canAccessData(req.user, record, action))) {
+        result.error = 'Access denied';
+        continue;
+      }
+
+      const item = {
+        record,
+        result,
+        before: toAuditSnapshot(record)
+      };
+
+      if (action === 'write') {
+        if (changes.fields && changes.fields.category && !(await isValidCategory(record, changes.fields.category))) {
+          result.error = 'Invalid category';
+          continue;
+        }
+
+        applyOperation(record, operation, changes);
+
+        const validationError = record.validateSync();
+        if (validationError) {
+          result.error = 'Validation error';
+          result.details = Object.values(validationError.errors).map(err => err.message);
+          continue;
+        }
+      }
+
+      ready.push(item);
+    }
+
+    if (atomic && ready.length < results.length) {
+      return res.status(400).json({
+        error: 'Bulk operation aborted; no records were changed',
+        summary: { requested: results.length, succeeded: 0, failed: results.length - ready.length },
+        results
+      });
+    }
+
+    if (atomic) {
+      try {
+        // Records are loaded again in the transaction, which may be retried
+        await Data.transaction(async (session) => {
+          for (const item of ready) {
+            const record = await Data.findById(item.record._id).session(session);
+            if (!record) {
+              throw new Error(`Data record ${item.result.id} no longer exists`);
+            }
+
+            if (action === 'delete') {
+              await record.deleteAs(req.user._id);
+            } else {
+              applyOperation(record, operation, changes);
+              await record.saveAs(req.user._id);
+            }
+            item.record = record;
+          }
+        });
+      } catch (error) {
+        console.error('Atomic bulk operation error:', error);
+
+        // Standalone servers cannot run transactions
+        if (error.code === 20) {
+          return res.status(501).json({
+            error: 'Atomic bulk operations need MongoDB transactions (a replica set)'
+          });
+        }
+
+        return res.status(500).json({
+          error: 'Bulk operation failed; no records were changed',
+          summary: { requested: results.length, succeeded: 0, failed: results.length },
+          results
+        });
+      }
+
+      ready.forEach(({ result }) => { result.success = true; });
+    } else if (action === 'delete') {
+      for (const { record, result } of ready) {
+        await record.deleteAs(req.user._id);
+        result.success = true;
+      }
+    } else {
+      for (const { record, result } of ready) {
+        try {
+          await record.saveAs(req.user._id);
+          result.success = true;
+        } catch (error) {
+          console.error('Bulk update item error:', error);
+          result.error = error.name === 'VersionError'
+            ? 'Data record was changed in the meantime'
+            : 'Failed to apply operation';
+        }
+      }
+    }
+
+    ready.filter(({ result }) => result.success).forEach(({ record, before }) => {
+      recordAudit(req, {
+        action: action === 'delete' ? 'data.deleted' : 'data.updated',
+        target: { type: 'data', id: record._id },
+        before,
+        after: action === 'delete' ? null : record,
+        metadata: { bulk: true, operation }
+      });
+    });
+
+    const succeeded = results.filter(result => result.success).length;
+
+    res.json({
+      success: succeeded === results.length,
+      message: `Bulk ${operation} applied to ${succeeded} of ${results.length} records`,
+      summary: { requested: results.length, succeeded, failed: results.length - succeeded },
+      results
+    });
+  } catch (error) {
+    console.error('Bulk data operation error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/data/:id
+ * @route   GET /api/workspaces/:workspaceId/data/:id
+ * @desc    Get single data record by ID
+ * @access  Private
+ */
+router.get('/:id', authenticateToken, resolveDataScope, authorizeData('read'), async (req, res) => {
+  try {
     res.json({
       success: true,
-      data
+      data: req.data
     });
   } catch (error) {
     console.error('Get data by ID error:', error);
-    
-    if (error.name === 'CastError') {
-      return res.status(400).json({
-        error: 'Invalid data ID'
-      });
-    }
-    
     res.status(500).json({
       error: 'Internal server error'
     });
@@ -185,75 +389,41 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
 /**
  * @route   PUT /api/data/:id
+ * @route   PUT /api/workspaces/:workspaceId/data/:id
  * @desc    Update data record
  * @access  Private
  */
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, resolveDataScope, authorizeData('write'), async (req, res) => {
   try {
-    const { title, description, category, value, unit, tags, status, isPublic } = req.body;
-    
-    // Find data record
-    const data = await Data.findById(req.params.id);
-    
-    if (!data) {
-      return res.status(404).json({
-        error: 'Data record not found'
-      });
-    }
-    
-    // Check ownership
-    if (data.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        error: 'Access denied'
+    // Categories of the space the record lives in
+    const categories = req.body.category !== undefined
+      ? await Category.namesForScope(Category.scopeForData(req.data))
+      : null;
+    const { fields: updateFields, errors } = validateDataInput(req.body, { partial: true, categories });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: errors[0],
+        details: errors
       });
     }
     
-    // Build update object
-    const updateFields = {};
-    
-    if (title !== undefined) updateFields.title = title.trim();
-    if (description !== undefined) updateFields.description = description.trim();
-    if (category !== undefined) {
-      const validCategories = ['analytics', 'reports', 'insights', 'metrics', 'other'];
-      if (!validCategories.includes(category)) {
-        return res.status(400).json({
-          error: 'Invalid category'
-        });
-      }
-      updateFields.category = category;
-    }
-    if (value !== undefined) {
-      if (typeof value !== 'number' || value < 0) {
-        return res.status(400).json({
-          error: 'Value must be a positive number'
-        });
-      }
-      updateFields.value = value;
-    }
-    if (unit !== undefined) updateFields.unit = unit.trim();
-    if (tags !== undefined) updateFields.tags = Array.isArray(tags) ? tags.filter(tag => tag.trim()) : [];
-    if (status !== undefined) {
-      const validStatuses = ['active', 'inactive', 'pending'];
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({
-          error: 'Invalid status'
-        });
-      }
-      updateFields.status = status;
-    }
-    if (isPublic !== undefined) updateFields.isPublic = isPublic;
-    
-    // Update the record
-    const updatedData = await Data.findByIdAndUpdate(
-      req.params.id,
-      { $set: updateFields },
-      { new: true, runValidators: true }
-    ).populate('user', 'name email');
+    // Update the record (saving records a revision)
+    const before = toAuditSnapshot(req.data);
+    req.data.set(updateFields);
+    await req.data.saveAs(req.user._id);
+
+    recordAudit(req, {
+      action: 'data.updated',
+      target: { type: 'data', id: req.data._id },
+      before,
+      after: req.data
+    });
     
     res.json({
       success: true,
       message: 'Data record updated successfully',
-      data: updatedData
+      data: req.data
     });
   } catch (error) {
     console.error('Update data error:', error);
@@ -271,6 +441,12 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
     
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        error: 'Data record was changed in the meantime; reload it and try again'
+      });
+    }
+
     res.status(500).json({
       error: 'Internal server error'
     });
@@ -279,27 +455,19 @@ router.put('/:id', authenticateToken, async (req, res) => {
 
 /**
  * @route   DELETE /api/data/:id
+ * @route   DELETE /api/workspaces/:workspaceId/data/:id
  * @desc    Delete data record
  * @access  Private
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, resolveDataScope, authorizeData('delete'), async (req, res) => {
   try {
-    const data = await Data.findById(req.params.id);
-    
-    if (!data) {
-      return res.status(404).json({
-        error: 'Data record not found'
-      });
-    }
-    
-    // Check ownership
-    if (data.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        error: 'Access denied'
-      });
-    }
-    
-    await Data.findByIdAndDelete(req.params.id);
+    await req.data.deleteAs(req.user._id);
+
+    recordAudit(req, {
+      action: 'data.deleted',
+      target: { type: 'data', id: req.data._id },
+      before: req.data
+    });
     
     res.json({
       success: true,
@@ -320,54 +488,149 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/data/:id/tags/:tag
+ * @route   POST /api/workspaces/:workspaceId/data/:id/tags/:tag
+ * @desc    Add a tag to a data record
+ * @access  Private
+ */
+router.post('/:id/tags/:tag', authenticateToken, resolveDataScope, authorizeData('write'), async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+
+    if (!tag) {
+      return res.status(400).json({
+        error: 'Tag cannot be empty'
+      });
+    }
+
+    const before = toAuditSnapshot(req.data);
+    await req.data.addTag(tag, req.user._id);
+
+    recordAudit(req, {
+      action: 'data.updated',
+      target: { type: 'data', id: req.data._id },
+      before,
+      after: req.data
+    });
+
+    res.json({
+      success: true,
+      message: 'Tag added successfully',
+      data: req.data
+    });
+  } catch (error) {
+    console.error('Add tag error:', error);
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        error: 'Data record was changed in the meantime; reload it and try again'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/data/:id/tags/:tag
+ * @route   DELETE /api/workspaces/:workspaceId/data/:id/tags/:tag
+ * @desc    Remove a tag from a data record
+ * @access  Private
+ */
+router.delete('/:id/tags/:tag', authenticateToken, resolveDataScope, authorizeData('write'), async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+
+    if (!req.data.tags.includes(tag)) {
+      return res.status(404).json({
+        error: 'Tag not found on this record'
+      });
+    }
+
+    const before = toAuditSnapshot(req.data);
+    await req.data.removeTag(tag, req.user._id);
+
+    recordAudit(req, {
+      action: 'data.updated',
+      target: { type: 'data', id: req.data._id },
+      before,
+      after: req.data
+    });
+
+    res.json({
+      success: true,
+      message: 'Tag removed successfully',
+      data: req.data
+    });
+  } catch (error) {
+    console.error('Remove tag error:', error);
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        error: 'Data record was changed in the meantime; reload it and try again'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/data/:id/toggle-status
+ * @route   POST /api/workspaces/:workspaceId/data/:id/toggle-status
+ * @desc    Switch a data record between active and inactive
+ * @access  Private
+ */
+router.post('/:id/toggle-status', authenticateToken, resolveDataScope, authorizeData('write'), async (req, res) => {
+  try {
+    const before = toAuditSnapshot(req.data);
+    await req.data.toggleStatus(req.user._id);
+
+    recordAudit(req, {
+      action: 'data.updated',
+      target: { type: 'data', id: req.data._id },
+      before,
+      after: req.data
+    });
+
+    res.json({
+      success: true,
+      message: `Data record is now ${req.data.status}`,
+      data: req.data
+    });
+  } catch (error) {
+    console.error('Toggle status error:', error);
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        error: 'Data record was changed in the meantime; reload it and try again'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @route   GET /api/data/stats/summary
+ * @route   GET /api/workspaces/:workspaceId/data/stats/summary
  * @desc    Get data statistics summary
  * @access  Private
  */
-router.get('/stats/summary', authenticateToken, async (req, res) => {
+router.get('/stats/summary', authenticateToken, requirePermission('data:read'), resolveDataScope, async (req, res) => {
   try {
-    const stats = await Data.aggregate([
-      { $match: { user: req.user._id } },
-      {
-        $group: {
-          _id: null,
-          totalRecords: { $sum: 1 },
-          totalValue: { $sum: '$value' },
-          avgValue: { $avg: '$value' },
-          categories: { $addToSet: '$category' },
-          statuses: { $addToSet: '$status' }
-        }
-      }
-    ]);
-    
-    // Get category breakdown
-    const categoryStats = await Data.aggregate([
-      { $match: { user: req.user._id } },
-      {
-        $group: {
-          _id: '$category',
-          count: { $sum: 1 },
-          totalValue: { $sum: '$value' }
-        }
-      },
-      { $sort: { count: -1 } }
-    ]);
-    
-    const summary = stats[0] || {
-      totalRecords: 0,
-      totalValue: 0,
-      avgValue: 0,
-      categories: [],
-      statuses: []
-    };
+    const summary = await getDataSummary(req.dataScope);
     
     res.json({
       success: true,
-      summary: {
-        ...summary,
-        categoryBreakdown: categoryStats
-      }
+      summary
     });
   } catch (error) {
     console.error('Get stats summary error:', error);
@@ -377,4 +640,259 @@ router.get('/stats/summary', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/data/stats/timeseries
+ * @route   GET /api/workspaces/:workspaceId/data/stats/timeseries
+ * @desc    Get value statistics per day, week or month over a date range
+ *          Query: interval, from, to, timezone, dateField, splitBy (category|tag),
+ *          series (max series when split), plus the list filters
+ * @access  Private
+ */
+router.get('/stats/timeseries', authenticateToken, requirePermission('data:read'), resolveDataScope, async (req, res) => {
+  try {
+    const {
+      interval = 'day',
+      timezone = 'UTC',
+      dateField = 'createdAt',
+      splitBy,
+      series = 10
+    } = req.query;
+
+    if (!TIMESERIES_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        error: `Interval must be one of: ${TIMESERIES_INTERVALS.join(', ')}`
+      });
+    }
+
+    if (!['createdAt', 'updatedAt'].includes(dateField)) {
+      return res.status(400).json({
+        error: 'dateField must be createdAt or updatedAt'
+      });
+    }
+
+    if (splitBy && !['category', 'tag'].includes(splitBy)) {
+      return res.status(400).json({
+        error: 'splitBy must be category or tag'
+      });
+    }
+
+    try {
+      toLocalDate(new Date(), timezone);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid timezone'
+      });
+    }
+
+    // Default range: the last 30 days, 12 weeks or 12 months
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to);
+    if (!req.query.from) {
+      if (interval === 'day') from.setDate(from.getDate() - 29);
+      if (interval === 'week') from.setDate(from.getDate() - 7 * 11);
+      if (interval === 'month') from.setMonth(from.getMonth() - 11);
+    }
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({
+        error: 'from and to must be valid dates with from before to'
+      });
+    }
+
+    if (listBuckets(from, to, interval, timezone).length > MAX_BUCKETS) {
+      return res.status(400).json({
+        error: `The range spans more than ${MAX_BUCKETS} buckets; use a larger interval`
+      });
+    }
+
+    const query = await buildListQuery(req, req.query, {
+      allow: ['interval', 'timezone', 'dateField', 'splitBy', 'series', 'from', 'to']
+    });
+    if (query.error) {
+      return res.status(query.status).json({
+        error: query.error,
+        details: query.details
+      });
+    }
+
+    const result = await getDataTimeseries(query.filter, {
+      interval,
+      from,
+      to,
+      timezone,
+      dateField,
+      splitBy: splitBy || null,
+      maxSeries: Math.min(Math.max(parseInt(series) || 10, 1), 50)
+    });
+
+    res.json({
+      success: true,
+      timeseries: {
+        interval,
+        timezone,
+        dateField,
+        splitBy: splitBy || null,
+        from,
+        to,
+        ...result
+      }
+    });
+  } catch (error) {
+    console.error('Get stats timeseries error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/data/:id/history
+ * @route   GET /api/workspaces/:workspaceId/data/:id/history
+ * @desc    Get the revision history of a data record (newest first)
+ * @access  Private
+ */
+router.get('/:id/history', authenticateToken, resolveDataScope, authorizeData('read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const revisions = await DataRevision.find({ data: req.data._id })
+      .populate('actor', 'name email')
+      .sort({ revision: -1 })
+      .limit(pageSize)
+      .skip((pageNumber - 1) * pageSize);
+
+    const total = await DataRevision.countDocuments({ data: req.data._id });
+
+    res.json({
+      success: true,
+      currentVersion: req.data.metadata.version,
+      revisions,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get data history error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/data/:id/history/diff?from=<revision>&to=<revision>
+ * @route   GET /api/workspaces/:workspaceId/data/:id/history/diff
+ * @desc    Compare two revisions of a data record (to defaults to the latest)
+ * @access  Private
+ */
+router.get('/:id/history/diff', authenticateToken, resolveDataScope, authorizeData('read'), async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : req.data.metadata.version;
+
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({
+        error: 'from and to must be revision numbers'
+      });
+    }
+
+    const revisions = await DataRevision.find({ data: req.data._id, revision: { $in: [from, to] } });
+    const fromRevision = revisions.find(r => r.revision === from);
+    const toRevision = revisions.find(r => r.revision === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        error: 'Revision not found'
+      });
+    }
+
+    const changes = Data.TRACKED_FIELDS
+      .filter(field => JSON.stringify(fromRevision.snapshot[field] ?? null) !== JSON.stringify(toRevision.snapshot[field] ?? null))
+      .map(field => ({
+        field,
+        from: fromRevision.snapshot[field] ?? null,
+        to: toRevision.snapshot[field] ?? null
+      }));
+
+    res.json({
+      success: true,
+      from,
+      to,
+      changes
+    });
+  } catch (error) {
+    console.error('Diff data revisions error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/data/:id/revert/:revision
+ * @route   POST /api/workspaces/:workspaceId/data/:id/revert/:revision
+ * @desc    Restore a data record to an earlier revision (creates a new revision)
+ * @access  Private
+ */
+router.post('/:id/revert/:revision', authenticateToken, resolveDataScope, authorizeData('write'), async (req, res) => {
+  try {
+    const revisionNumber = parseInt(req.params.revision);
+
+    if (isNaN(revisionNumber)) {
+      return res.status(400).json({
+        error: 'Invalid revision number'
+      });
+    }
+
+    const revision = await DataRevision.findOne({ data: req.data._id, revision: revisionNumber });
+
+    if (!revision) {
+      return res.status(404).json({
+        error: 'Revision not found'
+      });
+    }
+
+    const before = toAuditSnapshot(req.data);
+    await req.data.revertTo(revision, req.user._id);
+
+    recordAudit(req, {
+      action: 'data.updated',
+      target: { type: 'data', id: req.data._id },
+      before,
+      after: req.data,
+      metadata: { revertedTo: revisionNumber }
+    });
+
+    res.json({
+      success: true,
+      message: `Data record reverted to revision ${revisionNumber}`,
+      data: req.data
+    });
+  } catch (error) {
+    console.error('Revert data error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        error: 'Data record was changed in the meantime; reload it and try again'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
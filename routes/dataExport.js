@@ -0,0 +1,130 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveDataScope } = require('../middleware/dataAccess');
+const Data = require('../models/Data');
+const { recordAudit } = require('../utils/audit');
+const { buildListQuery, resolveListParams } = require('../utils/dataQuery');
+const { getDataSummary } = require('../utils/dataStats');
+const { EXPORT_FORMATS, parseColumns, setExportHeaders, createRowWriter, streamRecords } = require('../utils/dataExport');
+
+// Mounted at /api/data/export and /api/workspaces/:workspaceId/data/export
+const router = express.Router({ mergeParams: true });
+
+/**
+ * End a failed export: JSON error if nothing was sent yet, otherwise cut the stream
+ */
+const failExport = (res, error) => {
+  if (!res.headersSent) {
+    return res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+
+  res.destroy(error);
+};
+
+/**
+ * @route   GET /api/data/export
+ * @route   GET /api/workspaces/:workspaceId/data/export
+ * @desc    Stream the records matching the list filters as CSV, XLSX or NDJSON
+ *          Query: format (csv|xlsx|ndjson), columns (comma-separated), plus the list
+ *          filters and view
+ * @access  Private
+ */
+router.get('/', authenticateToken, requirePermission('data:read'), resolveDataScope, async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: 'Format must be csv, xlsx or ndjson'
+      });
+    }
+
+    const { columns, error } = parseColumns(req.query.columns);
+    if (error) {
+      return res.status(400).json({
+        error
+      });
+    }
+
+    const resolved = await resolveListParams(req);
+    if (resolved.error) {
+      return res.status(resolved.status).json({
+        error: resolved.error
+      });
+    }
+
+    const query = await buildListQuery(req, resolved.params, {
+      allow: ['format', 'columns'],
+      searchFallback: resolved.searchFallback
+    });
+    if (query.error) {
+      return res.status(query.status).json({
+        error: query.error,
+        details: query.details
+      });
+    }
+
+    const cursor = Data.find(query.filter)
+      .populate('user', 'name email')
+      .sort(query.sort)
+      .lean()
+      .cursor({ batchSize: 500 });
+
+    setExportHeaders(res, format, 'data-export');
+    const count = await streamRecords(cursor, createRowWriter(res, format, columns), columns);
+
+    recordAudit(req, {
+      action: 'data.exported',
+      target: { type: 'workspace', id: req.workspace ? req.workspace._id : null },
+      metadata: { format, columns, count, filter: req.query }
+    });
+  } catch (error) {
+    console.error('Export data error:', error);
+    failExport(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/data/export/summary
+ * @route   GET /api/workspaces/:workspaceId/data/export/summary
+ * @desc    Export the stats summary with its category breakdown as CSV, XLSX or NDJSON
+ * @access  Private
+ */
+router.get('/summary', authenticateToken, requirePermission('data:read'), resolveDataScope, async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: 'Format must be csv, xlsx or ndjson'
+      });
+    }
+
+    const summary = await getDataSummary(req.dataScope);
+    const columns = ['category', 'count', 'totalValue', 'avgValue'];
+
+    // One row per category plus a totals row
+    const rows = summary.categoryBreakdown.map(({ _id, count, totalValue }) => [
+      _id,
+      count,
+      totalValue,
+      count > 0 ? totalValue / count : 0
+    ]);
+    rows.push(['(all)', summary.totalRecords, summary.totalValue, summary.avgValue || 0]);
+
+    setExportHeaders(res, format, 'data-summary');
+    const writer = createRowWriter(res, format, columns, 'Summary');
+
+    for (const row of rows) {
+      if (!(await writer.write(row))) return;
+    }
+    await writer.end();
+  } catch (error) {
+    console.error('Export stats summary error:', error);
+    failExport(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,219 @@
+const express = require('express');
+const multer = require('multer');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveDataScope, requireWorkspaceAction } = require('../middleware/dataAccess');
+const ImportJob = require('../models/ImportJob');
+const Category = require('../models/Category');
+const { recordAudit } = require('../utils/audit');
+const { detectFormat, parseImportFile, mapRow, validateRows, runImport } = require('../utils/dataImport');
+
+// Mounted at /api/data/import and /api/workspaces/:workspaceId/data/import
+const router = express.Router({ mergeParams: true });
+
+// Imports above this many rows run in the background
+const SYNC_ROW_LIMIT = parseInt(process.env.IMPORT_SYNC_ROW_LIMIT) || 1000;
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 100000;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: (parseInt(process.env.IMPORT_MAX_FILE_MB) || 20) * 1024 * 1024 }
+});
+
+/**
+ * Middleware to accept a single `file` upload, turning multer errors into 400s
+ */
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        error: err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : 'Invalid file upload'
+      });
+    }
+    next();
+  });
+};
+
+/**
+ * @route   POST /api/data/import
+ * @route   POST /api/workspaces/:workspaceId/data/import
+ * @desc    Import records from a CSV, JSON array or NDJSON file
+ *          Multipart fields: file, format (optional), mapping (JSON { field: column }), dryRun
+ * @access  Private
+ */
+router.post('/', authenticateToken, requirePermission('data:write'), resolveDataScope, requireWorkspaceAction('write'), uploadFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'A file is required'
+      });
+    }
+
+    const format = detectFormat(req.file, req.body.format);
+    if (!['csv', 'json', 'ndjson'].includes(format)) {
+      return res.status(400).json({
+        error: 'Format must be csv, json or ndjson'
+      });
+    }
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (error) {
+        mapping = null;
+      }
+
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return res.status(400).json({
+          error: 'Mapping must be a JSON object'
+        });
+      }
+    }
+
+    let rows;
+    try {
+      rows = parseImportFile(req.file.buffer, format);
+    } catch (error) {
+      return res.status(400).json({
+        error: `Could not parse file: ${error.message}`
+      });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        error: 'The file contains no records'
+      });
+    }
+
+    if (rows.length > MAX_ROWS) {
+      return res.status(400).json({
+        error: `Imports are limited to ${MAX_ROWS} rows`
+      });
+    }
+
+    const categories = await Category.namesForScope(Category.scopeFor(req.dataScope));
+    const { valid, invalid } = validateRows(rows, mapping, { categories });
+
+    // Dry run: report what would happen without writing anything
+    if (req.body.dryRun === 'true' || req.body.dryRun === true) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        format,
+        totalRows: rows.length,
+        validRows: valid.length,
+        invalidRows: invalid.length,
+        rowErrors: invalid,
+        preview: rows.slice(0, 10).map(raw => mapRow(raw, mapping))
+      });
+    }
+
+    const job = new ImportJob({
+      user: req.user._id,
+      workspace: req.workspace ? req.workspace._id : null,
+      fileName: req.file.originalname || '',
+      format,
+      totalRows: rows.length
+    });
+    job.addRowErrors(invalid);
+    await job.save();
+
+    const finish = async () => {
+      await runImport(job, valid);
+
+      recordAudit(req, {
+        action: 'data.imported',
+        target: { type: 'import', id: job._id },
+        metadata: {
+          workspace: job.workspace,
+          insertedCount: job.insertedCount,
+          failedCount: job.failedCount,
+          status: job.status
+        }
+      });
+    };
+
+    if (rows.length > SYNC_ROW_LIMIT) {
+      setImmediate(() => finish().catch(error => console.error('Background import error:', error)));
+
+      return res.status(202).json({
+        success: true,
+        message: 'Import started',
+        job: job.getSummary()
+      });
+    }
+
+    await finish();
+
+    res.status(job.status === 'completed' ? 201 : 500).json({
+      success: job.status === 'completed',
+      message: job.status === 'completed' ? 'Import completed' : 'Import failed',
+      job: job.getSummary()
+    });
+  } catch (error) {
+    console.error('Import data error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/data/import
+ * @desc    List the user's import jobs
+ * @access  Private
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const jobs = await ImportJob.find({ user: req.user._id })
+      .select('-rowErrors')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      jobs: jobs.map(job => job.getSummary())
+    });
+  } catch (error) {
+    console.error('List import jobs error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/data/import/:jobId
+ * @desc    Get the status and row errors of an import job
+ * @access  Private
+ */
+router.get('/:jobId', authenticateToken, async (req, res) => {
+  try {
+    const job = await ImportJob.findOne({ _id: req.params.jobId, user: req.user._id });
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Import job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: job.getSummary()
+    });
+  } catch (error) {
+    console.error('Get import job error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid import job ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
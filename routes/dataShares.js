@@ -0,0 +1,249 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken } = require('../middleware/auth');
+const { canManageShares } = require('../middleware/dataAccess');
+const Data = require('../models/Data');
+const DataShare = require('../models/DataShare');
+const User = require('../models/User');
+
+// Mounted at /api/data/:id/shares
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Middleware to load the record in req.params.id for someone allowed to manage its shares
+ */
+const loadSharedData = async (req, res, next) => {
+  try {
+    const data = await Data.findById(req.params.id);
+
+    if (!data) {
+      return res.status(404).json({
+        error: 'Data record not found'
+      });
+    }
+
+    if (!(await canManageShares(req.user, data))) {
+      return res.status(403).json({
+        error: 'Access denied'
+      });
+    }
+
+    req.data = data;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid data ID'
+      });
+    }
+
+    console.error('Load shared data error:', error);
+    return res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Parse an optional expiry date; undefined means invalid
+ */
+const parseExpiresAt = (expiresAt) => {
+  if (expiresAt === undefined || expiresAt === null) return null;
+
+  const date = new Date(expiresAt);
+  return isNaN(date.getTime()) || date <= new Date() ? undefined : date;
+};
+
+/**
+ * Create or replace the grant of a user on req.data
+ */
+const grantShare = (req, grantee, permission, expiresAt) => DataShare.findOneAndUpdate(
+  { data: req.data._id, user: grantee._id },
+  { $set: { permission, expiresAt, grantedBy: req.user._id } },
+  { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+);
+
+/**
+ * @route   GET /api/data/:id/shares
+ * @desc    List share grants of a record
+ * @access  Private (owner)
+ */
+router.get('/', authenticateToken, loadSharedData, async (req, res) => {
+  try {
+    const shares = await DataShare.find({ data: req.data._id })
+      .populate('user', 'name email avatar')
+      .populate('grantedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      shares
+    });
+  } catch (error) {
+    console.error('List shares error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/data/:id/shares
+ * @desc    Grant a user (by userId or email) read, edit or full (edit and
+ *          delete) access to a record. Grants are listed with the grantee's
+ *          email, so sharing tells whoever manages the record whether an
+ *          address has an account; only they can share it.
+ * @access  Private (owner)
+ */
+router.post('/', authenticateToken, loadSharedData, async (req, res) => {
+  try {
+    const { userId, email, permission = 'read' } = req.body;
+
+    if (!DataShare.PERMISSIONS.includes(permission)) {
+      return res.status(400).json({
+        error: 'Invalid permission'
+      });
+    }
+
+    const expiresAt = parseExpiresAt(req.body.expiresAt);
+    if (expiresAt === undefined) {
+      return res.status(400).json({
+        error: 'Expiry must be a future date'
+      });
+    }
+
+    let grantee = null;
+    if (userId && mongoose.isValidObjectId(userId)) {
+      grantee = await User.findById(userId);
+    } else if (email && typeof email === 'string') {
+      grantee = await User.findOne({ email: email.toLowerCase().trim() });
+    }
+
+    if (!grantee || !grantee.isActive) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    if (grantee._id.equals(req.data.user)) {
+      return res.status(400).json({
+        error: 'The owner already has access to this record'
+      });
+    }
+
+    const share = await grantShare(req, grantee, permission, expiresAt).populate('user', 'name email avatar');
+
+    res.status(201).json({
+      success: true,
+      message: 'Record shared successfully',
+      share
+    });
+  } catch (error) {
+    console.error('Create share error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/data/:id/shares/:shareId
+ * @desc    Change the permission or expiry of a grant
+ * @access  Private (owner)
+ */
+router.put('/:shareId', authenticateToken, loadSharedData, async (req, res) => {
+  try {
+    const { permission } = req.body;
+
+    const share = await DataShare.findOne({ _id: req.params.shareId, data: req.data._id });
+
+    if (!share) {
+      return res.status(404).json({
+        error: 'Share not found'
+      });
+    }
+
+    if (permission !== undefined) {
+      if (!DataShare.PERMISSIONS.includes(permission)) {
+        return res.status(400).json({
+          error: 'Invalid permission'
+        });
+      }
+      share.permission = permission;
+    }
+
+    if (req.body.expiresAt !== undefined) {
+      const expiresAt = parseExpiresAt(req.body.expiresAt);
+      if (expiresAt === undefined) {
+        return res.status(400).json({
+          error: 'Expiry must be a future date'
+        });
+      }
+      share.expiresAt = expiresAt;
+    }
+
+    await share.save();
+
+    res.json({
+      success: true,
+      message: 'Share updated successfully',
+      share
+    });
+  } catch (error) {
+    console.error('Update share error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid share ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/data/:id/shares/:shareId
+ * @desc    Revoke a grant (effective immediately)
+ * @access  Private (owner)
+ */
+router.delete('/:shareId', authenticateToken, loadSharedData, async (req, res) => {
+  try {
+    const share = await DataShare.findOneAndDelete({ _id: req.params.shareId, data: req.data._id });
+
+    if (!share) {
+      return res.status(404).json({
+        error: 'Share not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Share revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke share error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid share ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const express = require('express');
+const { optionalAuth } = require('../middleware/auth');
+const { canShareLinkOwnerRead } = require('../middleware/dataAccess');
+const Data = require('../models/Data');
+const ShareLink = require('../models/ShareLink');
+const { toPublicData, buildViewFilter } = require('../utils/publicData');
+const { buildSearchFilter } = require('../utils/search');
+const { DATA_SEARCH_FIELDS } = require('../utils/dataQuery');
+
+const router = express.Router();
+
+// Anonymous access; a valid token only unlocks owner-only fields
+router.use(optionalAuth);
+
+/**
+ * @route   GET /api/public/data
+ * @desc    List public data records
+ * @access  Public
+ */
+router.get('/data', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, category, search } = req.query;
+
+    const filter = { isPublic: true };
+
+    if (typeof category === 'string' && category) filter.category = category;
+
+    const searchQuery = typeof search === 'string' ? buildSearchFilter(search, DATA_SEARCH_FIELDS) : null;
+    if (searchQuery && searchQuery.filter) {
+      Object.assign(filter, searchQuery.filter);
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+
+    const data = await Data.find(filter)
+      .populate('user', 'name avatar email')
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip((pageNumber - 1) * pageSize);
+
+    const total = await Data.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: data.map(record => toPublicData(record, req.user)),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get public data error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/public/data/:id
+ * @desc    Get a single public data record
+ * @access  Public
+ */
+router.get('/data/:id', async (req, res) => {
+  try {
+    const data = await Data.findOne({ _id: req.params.id, isPublic: true })
+      .populate('user', 'name avatar email');
+
+    if (!data) {
+      return res.status(404).json({
+        error: 'Data record not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toPublicData(data, req.user)
+    });
+  } catch (error) {
+    console.error('Get public data by ID error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid data ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/public/shared/:token
+ * @desc    Resolve a share link to its record or filtered view
+ * @access  Public
+ */
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const link = await ShareLink.findByToken(req.params.token);
+
+    if (!link || !link.isValid()) {
+      return res.status(404).json({
+        error: 'Share link not found or expired'
+      });
+    }
+
+    const data = link.type === 'record'
+      ? await Data.findById(link.data).populate('user', 'name avatar email')
+      : null;
+
+    if (link.type === 'record' && !data) {
+      return res.status(404).json({
+        error: 'Data record not found'
+      });
+    }
+
+    // The link only lasts as long as its creator's own access
+    if (!(await canShareLinkOwnerRead(link, data))) {
+      return res.status(404).json({
+        error: 'Share link not found or expired'
+      });
+    }
+
+    link.accessCount += 1;
+    link.lastAccessedAt = new Date();
+    await link.save();
+
+    if (link.type === 'record') {
+
+      return res.json({
+        success: true,
+        type: 'record',
+        label: link.label,
+        expiresAt: link.expiresAt,
+        data: toPublicData(data, req.user)
+      });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+    const filter = buildViewFilter(link);
+
+    const records = await Data.find(filter)
+      .populate('user', 'name avatar email')
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip((pageNumber - 1) * pageSize);
+
+    const total = await Data.countDocuments(filter);
+
+    res.json({
+      success: true,
+      type: 'view',
+      label: link.label,
+      expiresAt: link.expiresAt,
+      data: records.map(record => toPublicData(record, req.user)),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Resolve share link error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
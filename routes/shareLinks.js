@@ -0,0 +1,234 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { canAccessData } = require('../middleware/dataAccess');
+const Data = require('../models/Data');
+const Workspace = require('../models/Workspace');
+const ShareLink = require('../models/ShareLink');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+const router = express.Router();
+
+/**
+ * Parse the requested expiry (expiresAt date or expiresInHours)
+ * Returns undefined when invalid, null for a link that never expires
+ */
+const parseExpiry = ({ expiresAt, expiresInHours }) => {
+  if (expiresInHours !== undefined) {
+    const hours = Number(expiresInHours);
+    return hours > 0 ? new Date(Date.now() + hours * 60 * 60 * 1000) : undefined;
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const date = new Date(expiresAt);
+    return isNaN(date.getTime()) || date <= new Date() ? undefined : date;
+  }
+
+  return null;
+};
+
+/**
+ * Validate and normalize the filters of a shared view
+ */
+const parseViewFilter = (filter = {}) => {
+  const { category, status, tags, search } = filter;
+  const isOptionalString = value => value === undefined || typeof value === 'string';
+
+  if (!isOptionalString(category) || !isOptionalString(status) || !isOptionalString(search)) {
+    return null;
+  }
+
+  if (tags !== undefined && (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string'))) {
+    return null;
+  }
+
+  return {
+    category,
+    status,
+    tags: tags ? tags.map(tag => tag.trim()).filter(Boolean) : [],
+    search: search ? search.trim() : undefined
+  };
+};
+
+/**
+ * @route   POST /api/share-links
+ * @desc    Create a share link for a record ({ dataId }) or a filtered view ({ filter, workspaceId })
+ * @access  Private
+ */
+router.post('/', authenticateToken, requirePermission('data:read'), async (req, res) => {
+  try {
+    const { dataId, filter, workspaceId, label } = req.body;
+
+    const expiresAt = parseExpiry(req.body);
+    if (expiresAt === undefined) {
+      return res.status(400).json({
+        error: 'Expiry must be a future date or a positive number of hours'
+      });
+    }
+
+    const link = new ShareLink({
+      owner: req.user._id,
+      label: label || '',
+      expiresAt
+    });
+
+    if (dataId) {
+      if (!mongoose.isValidObjectId(dataId)) {
+        return res.status(400).json({
+          error: 'Invalid data ID'
+        });
+      }
+
+      const data = await Data.findById(dataId);
+
+      if (!data) {
+        return res.status(404).json({
+          error: 'Data record not found'
+        });
+      }
+
+      // Sharing a record requires being able to edit it
+      if (!(await canAccessData(req.user, data, 'write'))) {
+        return res.status(403).json({
+          error: 'Access denied'
+        });
+      }
+
+      link.type = 'record';
+      link.data = data._id;
+    } else {
+      const viewFilter = parseViewFilter(filter);
+
+      if (!viewFilter) {
+        return res.status(400).json({
+          error: 'Invalid view filter'
+        });
+      }
+
+      if (workspaceId) {
+        const workspace = mongoose.isValidObjectId(workspaceId) && await Workspace.findById(workspaceId);
+
+        if (!workspace || !workspace.getMemberRole(req.user._id)) {
+          return res.status(404).json({
+            error: 'Workspace not found'
+          });
+        }
+
+        if (!workspace.can(req.user._id, 'write')) {
+          return res.status(403).json({
+            error: 'Access denied. Insufficient workspace role.'
+          });
+        }
+
+        link.workspace = workspace._id;
+      }
+
+      link.type = 'view';
+      link.filter = viewFilter;
+    }
+
+    // The raw token is only returned once
+    const token = generateRandomToken(24);
+    link.tokenHash = hashToken(token);
+    await link.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created successfully',
+      token,
+      url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/shared/${token}`,
+      shareLink: link.getOwnerView()
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/share-links
+ * @desc    List the user's share links (?active=true for usable ones only)
+ * @access  Private
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const filter = { owner: req.user._id };
+
+    if (req.query.dataId) {
+      if (!mongoose.isValidObjectId(req.query.dataId)) {
+        return res.status(400).json({
+          error: 'Invalid data ID'
+        });
+      }
+      filter.data = req.query.dataId;
+    }
+
+    if (req.query.active === 'true') {
+      filter.revokedAt = null;
+      filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+    }
+
+    const links = await ShareLink.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      shareLinks: links.map(link => link.getOwnerView())
+    });
+  } catch (error) {
+    console.error('List share links error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/share-links/:id
+ * @desc    Revoke a share link
+ * @access  Private
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const link = await ShareLink.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!link) {
+      return res.status(404).json({
+        error: 'Share link not found'
+      });
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Share link revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid share link ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
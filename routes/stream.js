@@ -0,0 +1,160 @@
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { resolveDataScope } = require('../middleware/dataAccess');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const { hasPermission } = require('../utils/permissions');
+const { getDataSummary } = require('../utils/dataStats');
+const { subscribeToDataEvents, getEventsSince, eventMatchesScope } = require('../utils/dataEvents');
+
+// Mounted at /api/stream and /api/workspaces/:workspaceId/stream
+const router = express.Router({ mergeParams: true });
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// Changes arriving close together (bulk operations, imports) share one summary
+const SUMMARY_DELAY_MS = 1000;
+const RECONNECT_DELAY_MS = 3000;
+
+/**
+ * Format one Server-Sent Events message
+ */
+const formatEvent = ({ id, event, data }) => {
+  const lines = [];
+  if (id) lines.push(`id: ${id}`);
+  lines.push(`event: ${event}`);
+  lines.push(`data: ${JSON.stringify(data)}`);
+  return `${lines.join('\n')}\n\n`;
+};
+
+/**
+ * Why a stream may no longer be sent, or null while it may
+ * Re-checks what opening it required: a valid session, an active account with
+ * `data:read` and, for workspace streams, a member role that can read.
+ */
+const getStreamEndReason = async (req) => {
+  const session = await Session.findById(req.authSession._id);
+  if (!session || !session.isValid()) {
+    return 'Session has been revoked or expired.';
+  }
+
+  const user = await User.findById(req.user._id);
+  if (!user || !user.isActive || !(await hasPermission(user, 'data:read'))) {
+    return 'Access to the data has been revoked.';
+  }
+
+  if (req.workspace) {
+    const workspace = await Workspace.findById(req.workspace._id);
+    if (!workspace || !workspace.can(user._id, 'read')) {
+      return 'Access to the workspace has been revoked.';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @route   GET /api/stream
+ * @route   GET /api/workspaces/:workspaceId/stream
+ * @desc    Server-Sent Events stream of the space's data changes
+ *          Sends data.created / data.updated / data.deleted events (with ids)
+ *          and a refreshed `summary` after changes. Reconnecting clients send
+ *          Last-Event-ID (or ?lastEventId=) to receive what they missed; when
+ *          that is no longer possible a `resync` event asks them to refetch.
+ *          EventSource cannot set headers, so the token may be passed as ?token=.
+ * @access  Private
+ */
+router.get('/', authenticate({ allowQueryToken: true }), requirePermission('data:read'), resolveDataScope, (req, res) => {
+  const scope = req.dataScope;
+  let summaryTimer = null;
+
+  const send = (message) => {
+    if (!res.writableEnded) {
+      res.write(formatEvent(message));
+    }
+  };
+
+  const sendSummary = async () => {
+    summaryTimer = null;
+
+    try {
+      const summary = await getDataSummary(scope);
+      send({ event: 'summary', data: summary });
+    } catch (error) {
+      console.error('Stream summary error:', error);
+    }
+  };
+
+  const scheduleSummary = () => {
+    if (!summaryTimer) {
+      summaryTimer = setTimeout(sendSummary, SUMMARY_DELAY_MS);
+    }
+  };
+
+  const sendDataEvent = (event) => {
+    send({
+      id: event.id,
+      event: event.type,
+      data: { type: event.type, actor: event.actor, occurredAt: event.occurredAt, data: event.data }
+    });
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  // Replay and subscribe in the same tick so no event falls in between
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = getEventsSince(lastEventId);
+
+    if (missed) {
+      missed.filter(event => eventMatchesScope(event, scope)).forEach(sendDataEvent);
+    } else {
+      send({ event: 'resync', data: { reason: 'Missed events can no longer be replayed; refetch the data' } });
+    }
+  }
+
+  const unsubscribe = subscribeToDataEvents(event => {
+    if (!eventMatchesScope(event, scope)) return;
+
+    sendDataEvent(event);
+    scheduleSummary();
+  });
+
+  // Current numbers straight away, then after every burst of changes
+  sendSummary();
+
+  // Comments keep proxies from closing an idle connection; access is
+  // re-checked so logging out, deactivation or leaving the workspace ends the stream
+  const heartbeat = setInterval(async () => {
+    try {
+      const reason = await getStreamEndReason(req);
+
+      if (reason) {
+        send({ event: 'end', data: { reason } });
+        return res.end();
+      }
+
+      if (!res.writableEnded) {
+        res.write(': heartbeat\n\n');
+      }
+    } catch (error) {
+      console.error('Stream heartbeat error:', error);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(summaryTimer);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveDataScope, requireWorkspaceAction } = require('../middleware/dataAccess');
+const Data = require('../models/Data');
+const { recordAudit } = require('../utils/audit');
+const { escapeRegExp } = require('../utils/regex');
+const { normalizeTag, normalizeTags } = require('../utils/tags');
+
+// Mounted at /api/tags and /api/workspaces/:workspaceId/tags
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateToken);
+
+/**
+ * Replace the source tags with the target on every record of a scope
+ * Records are saved one by one so each change gets its revision; records
+ * that keep being changed meanwhile are counted as failed (Data.updateEach).
+ */
+const replaceTagsInScope = (scope, sources, target, userId) => {
+  return Data.updateEach({ ...scope, tags: { $in: sources } }, data => data.replaceTags(sources, target, userId));
+};
+
+/**
+ * @route   GET /api/tags
+ * @route   GET /api/workspaces/:workspaceId/tags
+ * @desc    List tags with usage counts, most used first (?prefix= for autocomplete)
+ * @access  Private
+ */
+router.get('/', requirePermission('data:read'), resolveDataScope, async (req, res) => {
+  try {
+    const { prefix, limit = 50 } = req.query;
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const tagMatch = prefix ? { tags: new RegExp(`^${escapeRegExp(normalizeTag(prefix))}`) } : {};
+
+    const tags = await Data.aggregate([
+      { $match: { ...req.dataScope, ...tagMatch } },
+      { $unwind: '$tags' },
+      { $match: tagMatch },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: pageSize }
+    ]);
+
+    res.json({
+      success: true,
+      tags: tags.map(({ _id, count }) => ({ tag: _id, count }))
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tags/rename
+ * @route   POST /api/workspaces/:workspaceId/tags/rename
+ * @desc    Rename a tag on every record (body: from, to)
+ * @access  Private
+ */
+router.post('/rename', requirePermission('data:write'), resolveDataScope, requireWorkspaceAction('write'), async (req, res) => {
+  try {
+    const from = typeof req.body.from === 'string' ? normalizeTag(req.body.from) : '';
+    const to = typeof req.body.to === 'string' ? normalizeTag(req.body.to) : '';
+
+    if (!from || !to) {
+      return res.status(400).json({
+        error: 'Both from and to tags are required'
+      });
+    }
+
+    if (from === to) {
+      return res.status(400).json({
+        error: 'The new tag name is the same as the old one'
+      });
+    }
+
+    if (await Data.exists({ ...req.dataScope, tags: to })) {
+      return res.status(409).json({
+        error: 'A tag with that name already exists. Merge the tags instead.'
+      });
+    }
+
+    const { modified, failed } = await replaceTagsInScope(req.dataScope, [from], to, req.user._id);
+
+    if (modified === 0 && failed === 0) {
+      return res.status(404).json({
+        error: 'Tag not found'
+      });
+    }
+
+    recordAudit(req, {
+      action: 'tags.renamed',
+      target: { type: 'tag', id: null },
+      metadata: { from, to, modified, failed, workspace: req.workspace ? req.workspace._id : null }
+    });
+
+    res.json({
+      success: failed === 0,
+      message: failed === 0
+        ? `Tag renamed on ${modified} records`
+        : `Tag renamed on ${modified} records; ${failed} records were changed in the meantime and keep the old tag; merge it to finish`,
+      modified,
+      failed
+    });
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tags/merge
+ * @route   POST /api/workspaces/:workspaceId/tags/merge
+ * @desc    Merge several tags into one on every record (body: tags, into)
+ * @access  Private
+ */
+router.post('/merge', requirePermission('data:write'), resolveDataScope, requireWorkspaceAction('write'), async (req, res) => {
+  try {
+    const into = typeof req.body.into === 'string' ? normalizeTag(req.body.into) : '';
+    const sources = Array.isArray(req.body.tags)
+      ? normalizeTags(req.body.tags).filter(tag => tag !== into)
+      : [];
+
+    if (!into || sources.length === 0) {
+      return res.status(400).json({
+        error: 'A list of tags and a target tag are required'
+      });
+    }
+
+    const { modified, failed } = await replaceTagsInScope(req.dataScope, sources, into, req.user._id);
+
+    recordAudit(req, {
+      action: 'tags.merged',
+      target: { type: 'tag', id: null },
+      metadata: { tags: sources, into, modified, failed, workspace: req.workspace ? req.workspace._id : null }
+    });
+
+    res.json({
+      success: failed === 0,
+      message: failed === 0
+        ? `Tags merged on ${modified} records`
+        : `Tags merged on ${modified} records; ${failed} records were changed in the meantime, merge again to finish`,
+      modified,
+      failed
+    });
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
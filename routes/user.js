@@ -1,6 +1,12 @@
 const express = require('express');
-const { authenticateToken, requireOwnership } = require('../middleware/auth');
+const { authenticate, authenticateToken, requirePermission } = require('../middleware/auth');
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { getRolePermissions } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { parsePageSize, paginate } = require('../utils/pagination');
+const { buildSearchFilter, withSearchResults } = require('../utils/search');
 
 const router = express.Router();
 
@@ -9,7 +15,7 @@ const router = express.Router();
  * @desc    Get logged-in user profile
  * @access  Private
  */
-router.get('/profile', authenticateToken, async (req, res) => {
+router.get('/profile', authenticate({ allowUnverified: true, allowTwoFactorSetup: true }), async (req, res) => {
   try {
     const user = await User.findById(req.user._id).select('-__v');
     
@@ -21,7 +27,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      user: user.getPublicProfile()
+      user: user.getPublicProfile(),
+      permissions: await getRolePermissions(user.role)
     });
   } catch (error) {
     console.error('Get profile error:', error);
@@ -36,7 +43,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
  * @desc    Update user profile
  * @access  Private
  */
-router.put('/profile', authenticateToken, async (req, res) => {
+router.put('/profile', authenticate({ allowUnverified: true }), async (req, res) => {
   try {
     const { firstName, lastName, preferences } = req.body;
     
@@ -67,6 +74,13 @@ router.put('/profile', authenticateToken, async (req, res) => {
         error: 'User not found'
       });
     }
+
+    recordAudit(req, {
+      action: 'user.profile_updated',
+      target: { type: 'user', id: updatedUser._id },
+      before: req.user.getPublicProfile(),
+      after: updatedUser.getPublicProfile()
+    });
     
     res.json({
       success: true,
@@ -145,11 +159,45 @@ router.delete('/account', authenticateToken, async (req, res) => {
     // You might want to implement additional verification
     
     // Delete user's data first
+    // Records in shared workspaces stay with the team
     const Data = require('../models/Data');
-    await Data.deleteMany({ user: req.user._id });
+    await Data.deleteMany({ user: req.user._id, workspace: null });
+
+    const Category = require('../models/Category');
+    await Category.deleteMany({ user: req.user._id, workspace: null });
+
+    const Dashboard = require('../models/Dashboard');
+    await Dashboard.deleteMany({ user: req.user._id, workspace: null });
+
+    const SavedView = require('../models/SavedView');
+    await SavedView.deleteMany({ user: req.user._id });
+
+    const Webhook = require('../models/Webhook');
+    await Webhook.deleteWithDeliveries({ user: req.user._id, workspace: null });
+
+    const ShareLink = require('../models/ShareLink');
+    await ShareLink.deleteMany({ owner: req.user._id });
+
+    // Leave workspaces, handing over or deleting the ones owned
+    const Workspace = require('../models/Workspace');
+    await Workspace.removeUser(req.user._id);
+
+    // Drop share grants given to the user
+    const DataShare = require('../models/DataShare');
+    await DataShare.deleteMany({ user: req.user._id });
+
+    // Remove all sessions so no token stays usable
+    const Session = require('../models/Session');
+    await Session.deleteMany({ user: req.user._id });
     
     // Delete user account
     await User.findByIdAndDelete(req.user._id);
+
+    recordAudit(req, {
+      action: 'user.account_deleted',
+      target: { type: 'user', id: req.user._id },
+      before: req.user.getPublicProfile()
+    });
     
     res.json({
       success: true,
@@ -163,54 +211,218 @@ router.delete('/account', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/user/2fa/setup
+ * @desc    Start 2FA enrollment and get the otpauth URI
+ * @access  Private
+ */
+router.post('/2fa/setup', authenticate({ allowTwoFactorSetup: true }), async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    req.user.twoFactor.pendingSecret = secret;
+    await req.user.save();
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: req.user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || 'MERN Dashboard'
+      })
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/user/2fa/confirm
+ * @desc    Confirm 2FA enrollment with a first code and get recovery codes
+ * @access  Private
+ */
+router.post('/2fa/confirm', authenticate({ allowTwoFactorSetup: true }), async (req, res) => {
+  try {
+    const { code } = req.body;
+    const { pendingSecret } = req.user.twoFactor;
+
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!pendingSecret) {
+      return res.status(400).json({
+        error: 'Two-factor setup has not been started'
+      });
+    }
+
+    const step = verifyCode(pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        error: 'Invalid two-factor code'
+      });
+    }
+
+    req.user.twoFactor.enabled = true;
+    req.user.twoFactor.secret = pendingSecret;
+    req.user.twoFactor.pendingSecret = null;
+    req.user.twoFactor.lastUsedStep = step;
+    req.user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = req.user.generateRecoveryCodes();
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/user/2fa/recovery-codes
+ * @desc    Regenerate recovery codes (invalidates the old ones)
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.verifyTwoFactorCode(code)) {
+      return res.status(400).json({
+        error: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = req.user.generateRecoveryCodes();
+    await req.user.save();
+
+    res.json({
+      success: true,
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/user/2fa/disable
+ * @desc    Disable 2FA (requires password and a code)
+ * @access  Private
+ */
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (process.env.REQUIRE_ADMIN_2FA === 'true' && req.user.role === 'admin') {
+      return res.status(403).json({
+        error: 'Two-factor authentication is required for admins'
+      });
+    }
+
+    const isMatch = password && await bcrypt.compare(password, req.user.password);
+    const verified = code
+      ? req.user.verifyTwoFactorCode(code)
+      : req.user.useRecoveryCode(recoveryCode);
+
+    if (!isMatch || !verified) {
+      return res.status(400).json({
+        error: 'Invalid password or two-factor code'
+      });
+    }
+
+    req.user.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: null,
+      enabledAt: null
+    };
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @route   GET /api/user/search
- * @desc    Search users (admin only)
- * @access  Private (Admin)
+ * @desc    Search users (admin only), newest first so the results can be
+ *          paged with ?after=/?before= like other lists; matches carry their
+ *          relevance score
+ * @access  Private (users:read)
  */
-router.get('/search', authenticateToken, async (req, res) => {
+router.get('/search', authenticateToken, requirePermission('users:read'), async (req, res) => {
   try {
-    const { query, limit = 10, page = 1 } = req.query;
+    const { query, limit = 10, page = 1, after, before, count } = req.query;
     
-    if (!query || query.trim().length < 2) {
+    if (typeof query !== 'string' || query.trim().length < 2) {
       return res.status(400).json({
         error: 'Search query must be at least 2 characters long'
       });
     }
     
-    const searchRegex = new RegExp(query.trim(), 'i');
-    
-    const users = await User.find({
-      $or: [
-        { name: searchRegex },
-        { email: searchRegex },
-        { firstName: searchRegex },
-        { lastName: searchRegex }
-      ]
-    })
-    .select('name email firstName lastName avatar role isActive createdAt')
-    .limit(parseInt(limit))
-    .skip((parseInt(page) - 1) * parseInt(limit))
-    .sort({ createdAt: -1 });
-    
-    const total = await User.countDocuments({
-      $or: [
-        { name: searchRegex },
-        { email: searchRegex },
-        { firstName: searchRegex },
-        { lastName: searchRegex }
-      ]
+    // Email addresses are matched literally; the text index splits them into words
+    const search = buildSearchFilter(query, User.SEARCH_FIELDS, { fallback: query.includes('@') });
+    const textSearch = search.mode === 'text';
+    
+    const result = await paginate(User, search.filter || {}, {
+      sort: { createdAt: -1 },
+      limit: parsePageSize(limit),
+      page,
+      after,
+      before,
+      count: count !== 'false',
+      prepare: find => {
+        find.select('name email firstName lastName avatar role isActive createdAt');
+        return textSearch ? find.select({ score: { $meta: 'textScore' } }) : find;
+      }
     });
+
+    if (result.error) {
+      return res.status(400).json({
+        error: result.error
+      });
+    }
     
     res.json({
       success: true,
-      users,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit))
-      }
+      users: withSearchResults(result.items, User.SEARCH_FIELDS, search),
+      pagination: result.pagination
     });
   } catch (error) {
     console.error('Search users error:', error);
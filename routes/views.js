@@ -0,0 +1,189 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveDataScope } = require('../middleware/dataAccess');
+const SavedView = require('../models/SavedView');
+
+// Mounted at /api/views and /api/workspaces/:workspaceId/views
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateToken, requirePermission('data:read'), resolveDataScope);
+
+/**
+ * Middleware to load one of the user's views of the current space
+ */
+const loadView = async (req, res, next) => {
+  try {
+    const view = await SavedView.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      workspace: req.workspace ? req.workspace._id : null
+    });
+
+    if (!view) {
+      return res.status(404).json({
+        error: 'View not found'
+      });
+    }
+
+    req.view = view;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid view ID'
+      });
+    }
+
+    console.error('Load view error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Respond to a failed view write: 409 for duplicate names, 400 for validation errors
+ */
+const handleViewError = (res, error, label) => {
+  console.error(`${label} error:`, error);
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      error: 'A view with that name already exists'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation error',
+      details: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  res.status(500).json({
+    error: 'Internal server error'
+  });
+};
+
+/**
+ * @route   GET /api/views
+ * @route   GET /api/workspaces/:workspaceId/views
+ * @desc    List the user's saved views of the space
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const views = await SavedView.find({
+      user: req.user._id,
+      workspace: req.workspace ? req.workspace._id : null
+    }).sort({ isDefault: -1, name: 1 });
+
+    res.json({
+      success: true,
+      views
+    });
+  } catch (error) {
+    console.error('Get views error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/views
+ * @route   POST /api/workspaces/:workspaceId/views
+ * @desc    Save a named set of list parameters
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, params, isDefault } = req.body;
+
+    const view = await SavedView.create({
+      name,
+      params,
+      isDefault: isDefault === true,
+      user: req.user._id,
+      workspace: req.workspace ? req.workspace._id : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'View saved successfully',
+      view
+    });
+  } catch (error) {
+    handleViewError(res, error, 'Create view');
+  }
+});
+
+/**
+ * @route   GET /api/views/:id
+ * @route   GET /api/workspaces/:workspaceId/views/:id
+ * @desc    Get a saved view
+ * @access  Private
+ */
+router.get('/:id', loadView, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      view: req.view
+    });
+  } catch (error) {
+    console.error('Get view error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/views/:id
+ * @route   PUT /api/workspaces/:workspaceId/views/:id
+ * @desc    Update a saved view; params, when given, replace the stored ones
+ * @access  Private
+ */
+router.put('/:id', loadView, async (req, res) => {
+  try {
+    const { name, params, isDefault } = req.body;
+
+    if (name !== undefined) req.view.name = name;
+    if (params !== undefined) req.view.params = params;
+    if (isDefault !== undefined) req.view.isDefault = isDefault === true;
+
+    await req.view.save();
+
+    res.json({
+      success: true,
+      message: 'View updated successfully',
+      view: req.view
+    });
+  } catch (error) {
+    handleViewError(res, error, 'Update view');
+  }
+});
+
+/**
+ * @route   DELETE /api/views/:id
+ * @route   DELETE /api/workspaces/:workspaceId/views/:id
+ * @desc    Delete a saved view
+ * @access  Private
+ */
+router.delete('/:id', loadView, async (req, res) => {
+  try {
+    await req.view.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'View deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete view error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
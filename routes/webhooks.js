@@ -0,0 +1,392 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveDataScope, requireWorkspaceAction } = require('../middleware/dataAccess');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { recordAudit } = require('../utils/audit');
+const { parsePageSize, paginate } = require('../utils/pagination');
+const { enqueueTestEvent, redeliver } = require('../utils/webhooks');
+
+// Mounted at /api/webhooks and /api/workspaces/:workspaceId/webhooks
+const router = express.Router({ mergeParams: true });
+
+// Webhooks send the space's records elsewhere, so workspaces need the manage role
+router.use(authenticateToken, requirePermission('data:read'), resolveDataScope, requireWorkspaceAction('manage'));
+
+const DELIVERY_STATUSES = WebhookDelivery.schema.path('status').enumValues;
+
+/**
+ * Middleware to load the webhook in req.params.id from the current space
+ */
+const loadWebhook = async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findOne({ _id: req.params.id, ...Webhook.scopeFor(req.dataScope) });
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook not found'
+      });
+    }
+
+    req.webhook = webhook;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid webhook ID'
+      });
+    }
+
+    console.error('Load webhook error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Middleware to load a delivery of req.webhook from req.params.deliveryId
+ */
+const loadDelivery = async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: req.webhook._id });
+
+    if (!delivery) {
+      return res.status(404).json({
+        error: 'Delivery not found'
+      });
+    }
+
+    req.delivery = delivery;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid delivery ID'
+      });
+    }
+
+    console.error('Load delivery error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Respond to a failed webhook write: 400 for validation errors
+ */
+const handleWebhookError = (res, error, label) => {
+  console.error(`${label} error:`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation error',
+      details: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  res.status(500).json({
+    error: 'Internal server error'
+  });
+};
+
+/**
+ * @route   GET /api/webhooks
+ * @route   GET /api/workspaces/:workspaceId/webhooks
+ * @desc    List the webhooks of the space
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find(Webhook.scopeFor(req.dataScope)).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      webhooks
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks
+ * @route   POST /api/workspaces/:workspaceId/webhooks
+ * @desc    Subscribe a URL to data events of the space
+ *          Body: { url, events, description, secret, isActive }. Without a
+ *          secret one is generated; it is only returned in this response.
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { url, events, description, secret, isActive } = req.body;
+
+    const webhook = new Webhook({
+      url,
+      events: Array.isArray(events) ? events : [],
+      description,
+      secret: secret || Webhook.generateSecret(),
+      isActive: isActive !== false,
+      user: req.user._id,
+      workspace: req.workspace ? req.workspace._id : null
+    });
+
+    await webhook.save();
+
+    recordAudit(req, {
+      action: 'webhook.created',
+      target: { type: 'webhook', id: webhook._id },
+      after: webhook
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      webhook,
+      secret: webhook.secret
+    });
+  } catch (error) {
+    handleWebhookError(res, error, 'Create webhook');
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @route   GET /api/workspaces/:workspaceId/webhooks/:id
+ * @desc    Get a webhook
+ * @access  Private
+ */
+router.get('/:id', loadWebhook, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      webhook: req.webhook
+    });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @route   PUT /api/workspaces/:workspaceId/webhooks/:id
+ * @desc    Update a webhook's URL, events, description or active flag
+ * @access  Private
+ */
+router.put('/:id', loadWebhook, async (req, res) => {
+  try {
+    const { url, events, description, isActive } = req.body;
+    const before = req.webhook.toObject();
+
+    if (url !== undefined) req.webhook.url = url;
+    if (events !== undefined) req.webhook.events = Array.isArray(events) ? events : [];
+    if (description !== undefined) req.webhook.description = description;
+    if (isActive !== undefined) req.webhook.isActive = isActive === true;
+
+    await req.webhook.save();
+
+    recordAudit(req, {
+      action: 'webhook.updated',
+      target: { type: 'webhook', id: req.webhook._id },
+      before,
+      after: req.webhook
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      webhook: req.webhook
+    });
+  } catch (error) {
+    handleWebhookError(res, error, 'Update webhook');
+  }
+});
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @route   DELETE /api/workspaces/:workspaceId/webhooks/:id
+ * @desc    Delete a webhook together with its queued deliveries and log
+ * @access  Private
+ */
+router.delete('/:id', loadWebhook, async (req, res) => {
+  try {
+    await Webhook.deleteWithDeliveries({ _id: req.webhook._id });
+
+    recordAudit(req, {
+      action: 'webhook.deleted',
+      target: { type: 'webhook', id: req.webhook._id },
+      before: req.webhook
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/:id/rotate-secret
+ * @route   POST /api/workspaces/:workspaceId/webhooks/:id/rotate-secret
+ * @desc    Replace the signing secret; the new secret is only returned here
+ * @access  Private
+ */
+router.post('/:id/rotate-secret', loadWebhook, async (req, res) => {
+  try {
+    req.webhook.secret = Webhook.generateSecret();
+    await req.webhook.save();
+
+    recordAudit(req, {
+      action: 'webhook.secret_rotated',
+      target: { type: 'webhook', id: req.webhook._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated successfully',
+      secret: req.webhook.secret
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/:id/test
+ * @route   POST /api/workspaces/:workspaceId/webhooks/:id/test
+ * @desc    Queue a `webhook.test` event; follow it in the delivery log
+ * @access  Private
+ */
+router.post('/:id/test', loadWebhook, async (req, res) => {
+  try {
+    const delivery = await enqueueTestEvent(req.webhook, req.user);
+
+    res.status(202).json({
+      success: true,
+      message: 'Test event queued',
+      delivery
+    });
+  } catch (error) {
+    console.error('Send test webhook error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @route   GET /api/workspaces/:workspaceId/webhooks/:id/deliveries
+ * @desc    Delivery log of a webhook, newest first (?status= to filter;
+ *          paged like the data list). Payloads are left out; get a single
+ *          delivery to see its payload.
+ * @access  Private
+ */
+router.get('/:id/deliveries', loadWebhook, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20, after, before, count } = req.query;
+    const filter = { webhook: req.webhook._id };
+
+    if (status !== undefined) {
+      if (!DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `Status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = status;
+    }
+
+    const result = await paginate(WebhookDelivery, filter, {
+      sort: { createdAt: -1 },
+      limit: parsePageSize(limit),
+      page,
+      after,
+      before,
+      count: count !== 'false',
+      prepare: find => find.select('-payload')
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      deliveries: result.items,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries/:deliveryId
+ * @route   GET /api/workspaces/:workspaceId/webhooks/:id/deliveries/:deliveryId
+ * @desc    Get a delivery with its payload and attempts
+ * @access  Private
+ */
+router.get('/:id/deliveries/:deliveryId', loadWebhook, loadDelivery, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      delivery: req.delivery
+    });
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @route   POST /api/workspaces/:workspaceId/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @desc    Queue a finished or dead-lettered delivery again
+ * @access  Private
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', loadWebhook, loadDelivery, async (req, res) => {
+  try {
+    if (!['succeeded', 'dead'].includes(req.delivery.status)) {
+      return res.status(409).json({
+        error: 'Delivery is still queued'
+      });
+    }
+
+    const delivery = await redeliver(req.delivery);
+
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued again',
+      delivery
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
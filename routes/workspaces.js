@@ -0,0 +1,558 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken } = require('../middleware/auth');
+const Workspace = require('../models/Workspace');
+const WorkspaceInvitation = require('../models/WorkspaceInvitation');
+const User = require('../models/User');
+const Data = require('../models/Data');
+const Category = require('../models/Category');
+const Dashboard = require('../models/Dashboard');
+const SavedView = require('../models/SavedView');
+const Webhook = require('../models/Webhook');
+const ShareLink = require('../models/ShareLink');
+const { sendTemplate } = require('../utils/mailer');
+
+const router = express.Router();
+
+const INVITATION_EXPIRE_DAYS = 14;
+
+/**
+ * Middleware to load the workspace in req.params.id for a member
+ * Non-members get a 404; members whose role lacks the action get a 403
+ */
+const loadWorkspace = (action = 'read') => {
+  return async (req, res, next) => {
+    try {
+      const workspace = await Workspace.findById(req.params.id);
+
+      if (!workspace || !workspace.getMemberRole(req.user._id)) {
+        return res.status(404).json({
+          error: 'Workspace not found'
+        });
+      }
+
+      if (!workspace.can(req.user._id, action)) {
+        return res.status(403).json({
+          error: 'Access denied. Insufficient workspace role.'
+        });
+      }
+
+      req.workspace = workspace;
+      next();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          error: 'Invalid workspace ID'
+        });
+      }
+
+      console.error('Load workspace error:', error);
+      return res.status(500).json({
+        error: 'Internal server error'
+      });
+    }
+  };
+};
+
+/**
+ * @route   POST /api/workspaces
+ * @desc    Create a workspace (creator becomes owner)
+ * @access  Private
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({
+        error: 'Name is required'
+      });
+    }
+
+    const workspace = new Workspace({
+      name: name.trim(),
+      description: description ? description.trim() : '',
+      owner: req.user._id,
+      members: [{ user: req.user._id, role: 'owner' }]
+    });
+
+    await workspace.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Workspace created successfully',
+      workspace
+    });
+  } catch (error) {
+    console.error('Create workspace error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/workspaces
+ * @desc    List the user's workspaces, including the implicit personal space
+ * @access  Private
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const workspaces = await Workspace.findForUser(req.user._id).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      personal: {
+        id: 'personal',
+        name: 'Personal',
+        role: 'owner'
+      },
+      workspaces: workspaces.map(workspace => ({
+        ...workspace.toObject(),
+        role: workspace.getMemberRole(req.user._id)
+      }))
+    });
+  } catch (error) {
+    console.error('List workspaces error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/workspaces/invitations
+ * @desc    List pending invitations for the user's email
+ * @access  Private
+ */
+router.get('/invitations', authenticateToken, async (req, res) => {
+  try {
+    const invitations = await WorkspaceInvitation.find({
+      email: req.user.email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('workspace', 'name description')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      invitations
+    });
+  } catch (error) {
+    console.error('List my invitations error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Shared handler for accepting or declining an invitation
+ */
+const respondToInvitation = (accept) => async (req, res) => {
+  try {
+    if (!req.user.emailVerified) {
+      return res.status(403).json({
+        error: 'Verify your email address before answering invitations'
+      });
+    }
+
+    const invitation = await WorkspaceInvitation.findOne({
+      _id: req.params.invitationId,
+      email: req.user.email
+    });
+
+    if (!invitation || !invitation.isOpen()) {
+      return res.status(404).json({
+        error: 'Invitation not found or no longer valid'
+      });
+    }
+
+    invitation.status = accept ? 'accepted' : 'declined';
+    invitation.respondedAt = new Date();
+
+    if (accept) {
+      const workspace = await Workspace.findById(invitation.workspace);
+
+      if (!workspace) {
+        return res.status(404).json({
+          error: 'Workspace not found'
+        });
+      }
+
+      if (!workspace.getMemberRole(req.user._id)) {
+        workspace.members.push({ user: req.user._id, role: invitation.role });
+        await workspace.save();
+      }
+    }
+
+    await invitation.save();
+
+    res.json({
+      success: true,
+      message: accept ? 'Invitation accepted' : 'Invitation declined',
+      invitation
+    });
+  } catch (error) {
+    console.error('Respond to invitation error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid invitation ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/workspaces/invitations/:invitationId/accept
+ * @desc    Accept an invitation addressed to the user's email
+ * @access  Private
+ */
+router.post('/invitations/:invitationId/accept', authenticateToken, respondToInvitation(true));
+
+/**
+ * @route   POST /api/workspaces/invitations/:invitationId/decline
+ * @desc    Decline an invitation addressed to the user's email
+ * @access  Private
+ */
+router.post('/invitations/:invitationId/decline', authenticateToken, respondToInvitation(false));
+
+/**
+ * @route   GET /api/workspaces/:id
+ * @desc    Get a workspace with its members
+ * @access  Private (member)
+ */
+router.get('/:id', authenticateToken, loadWorkspace('read'), async (req, res) => {
+  try {
+    await req.workspace.populate('members.user', 'name email avatar');
+
+    res.json({
+      success: true,
+      workspace: req.workspace,
+      role: req.workspace.getMemberRole(req.user._id)
+    });
+  } catch (error) {
+    console.error('Get workspace error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/workspaces/:id
+ * @desc    Update workspace name or description
+ * @access  Private (workspace admin)
+ */
+router.put('/:id', authenticateToken, loadWorkspace('manage'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (name !== undefined) req.workspace.name = String(name).trim();
+    if (description !== undefined) req.workspace.description = String(description).trim();
+
+    await req.workspace.save();
+
+    res.json({
+      success: true,
+      message: 'Workspace updated successfully',
+      workspace: req.workspace
+    });
+  } catch (error) {
+    console.error('Update workspace error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/workspaces/:id
+ * @desc    Delete a workspace; its records move back to their creators' personal space
+ * @access  Private (workspace owner)
+ */
+router.delete('/:id', authenticateToken, loadWorkspace('read'), async (req, res) => {
+  try {
+    if (req.workspace.getMemberRole(req.user._id) !== 'owner') {
+      return res.status(403).json({
+        error: 'Only the owner can delete a workspace'
+      });
+    }
+
+    // Records move back to their creators, who keep the categories they use
+    await Category.copyToPersonalSpaces(req.workspace._id, await Data.distinct('user', { workspace: req.workspace._id }));
+    await Category.deleteMany({ user: null, workspace: req.workspace._id });
+    await Dashboard.updateMany({ workspace: req.workspace._id }, { $set: { workspace: null } });
+    await SavedView.deleteMany({ workspace: req.workspace._id });
+    await Webhook.deleteWithDeliveries({ workspace: req.workspace._id });
+
+    // A bulk write, without revisions or data events (see publishChange in models/Data)
+    const { modifiedCount } = await Data.updateMany(
+      { workspace: req.workspace._id },
+      { $set: { workspace: null } }
+    );
+    await WorkspaceInvitation.deleteMany({ workspace: req.workspace._id });
+    await req.workspace.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Workspace deleted successfully',
+      movedRecords: modifiedCount
+    });
+  } catch (error) {
+    console.error('Delete workspace error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/workspaces/:id/members/:userId
+ * @desc    Change a member's role
+ * @access  Private (workspace admin)
+ */
+router.patch('/:id/members/:userId', authenticateToken, loadWorkspace('manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const member = req.workspace.members.find(m => m.user.toString() === req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    if (!['admin', 'editor', 'viewer'].includes(role)) {
+      return res.status(400).json({
+        error: 'Invalid member role'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        error: 'The owner role cannot be changed'
+      });
+    }
+
+    member.role = role;
+    await req.workspace.save();
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      member
+    });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/workspaces/:id/members/:userId
+ * @desc    Remove a member (members may remove themselves to leave)
+ * @access  Private (workspace admin or self)
+ */
+router.delete('/:id/members/:userId', authenticateToken, loadWorkspace('read'), async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.user._id.toString();
+
+    if (!isSelf && !req.workspace.can(req.user._id, 'manage')) {
+      return res.status(403).json({
+        error: 'Access denied. Insufficient workspace role.'
+      });
+    }
+
+    const member = req.workspace.members.find(m => m.user.toString() === req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        error: 'The owner cannot leave or be removed'
+      });
+    }
+
+    req.workspace.members = req.workspace.members.filter(m => m !== member);
+    await req.workspace.save();
+
+    // Links the member shared from the workspace stop working with their access
+    await ShareLink.revokeForWorkspace(member.user, req.workspace._id);
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You left the workspace' : 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/workspaces/:id/invitations
+ * @desc    Invite someone by email
+ * @access  Private (workspace admin)
+ */
+router.post('/:id/invitations', authenticateToken, loadWorkspace('manage'), async (req, res) => {
+  try {
+    const { email, role = 'viewer' } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        error: 'Email is required'
+      });
+    }
+
+    if (!['admin', 'editor', 'viewer'].includes(role)) {
+      return res.status(400).json({
+        error: 'Invalid member role'
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser && req.workspace.getMemberRole(existingUser._id)) {
+      return res.status(400).json({
+        error: 'User is already a member of this workspace'
+      });
+    }
+
+    // Replace any open invitation for the same address
+    await WorkspaceInvitation.updateMany(
+      { workspace: req.workspace._id, email: normalizedEmail, status: 'pending' },
+      { $set: { status: 'revoked', respondedAt: new Date() } }
+    );
+
+    const invitation = await WorkspaceInvitation.create({
+      workspace: req.workspace._id,
+      email: normalizedEmail,
+      role,
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + INVITATION_EXPIRE_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    sendTemplate('workspaceInvitation', invitation, req.workspace, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      invitation
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/workspaces/:id/invitations
+ * @desc    List a workspace's invitations
+ * @access  Private (workspace admin)
+ */
+router.get('/:id/invitations', authenticateToken, loadWorkspace('manage'), async (req, res) => {
+  try {
+    const filter = { workspace: req.workspace._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const invitations = await WorkspaceInvitation.find(filter)
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      invitations
+    });
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/workspaces/:id/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Private (workspace admin)
+ */
+router.delete('/:id/invitations/:invitationId', authenticateToken, loadWorkspace('manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.invitationId)) {
+      return res.status(400).json({
+        error: 'Invalid invitation ID'
+      });
+    }
+
+    const invitation = await WorkspaceInvitation.findOne({
+      _id: req.params.invitationId,
+      workspace: req.workspace._id,
+      status: 'pending'
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitation not found'
+      });
+    }
+
+    invitation.status = 'revoked';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
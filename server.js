@@ -14,9 +14,25 @@ dotenv.config();
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const dataRoutes = require('./routes/data');
+const adminRoutes = require('./routes/admin');
+const workspaceRoutes = require('./routes/workspaces');
+const publicRoutes = require('./routes/public');
+const shareLinkRoutes = require('./routes/shareLinks');
+const dataShareRoutes = require('./routes/dataShares');
+const dataImportRoutes = require('./routes/dataImport');
+const dataExportRoutes = require('./routes/dataExport');
+const tagRoutes = require('./routes/tags');
+const categoryRoutes = require('./routes/categories');
+const dashboardRoutes = require('./routes/dashboards');
+const viewRoutes = require('./routes/views');
+const streamRoutes = require('./routes/stream');
+const webhookRoutes = require('./routes/webhooks');
+const { startWebhookWorker } = require('./utils/webhooks');
+const { startImportMonitor } = require('./utils/dataImport');
 
 // Import passport config
 require('./config/passport');
+const Role = require('./models/Role');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -31,7 +47,8 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Logging middleware
+// Logging middleware; access tokens passed as ?token= (event streams) are not logged
+morgan.token('url', req => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/g, '$1[redacted]'));
 app.use(morgan('combined'));
 
 // CORS configuration
@@ -51,13 +68,43 @@ app.use(passport.initialize());
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-dashboard')
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+  console.log('✅ Connected to MongoDB');
+  return Role.ensureDefaults();
+})
+// Imports run in the server that received them; fail those of stopped servers
+.then(() => startImportMonitor())
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
+// Deliver data events to webhooks in the background
+startWebhookWorker();
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/data/import', dataImportRoutes);
+app.use('/api/data/export', dataExportRoutes);
+app.use('/api/data/:id/shares', dataShareRoutes);
 app.use('/api/data', dataRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/dashboards', dashboardRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/workspaces/:workspaceId/data/import', dataImportRoutes);
+app.use('/api/workspaces/:workspaceId/data/export', dataExportRoutes);
+app.use('/api/workspaces/:workspaceId/data', dataRoutes);
+app.use('/api/workspaces/:workspaceId/tags', tagRoutes);
+app.use('/api/workspaces/:workspaceId/categories', categoryRoutes);
+app.use('/api/workspaces/:workspaceId/dashboards', dashboardRoutes);
+app.use('/api/workspaces/:workspaceId/views', viewRoutes);
+app.use('/api/workspaces/:workspaceId/stream', streamRoutes);
+app.use('/api/workspaces/:workspaceId/webhooks', webhookRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/share-links', shareLinkRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,55 @@
+const AuditEvent = require('../models/AuditEvent');
+
+// Fields never written to the audit trail
+const SENSITIVE_FIELDS = [
+  'password',
+  'passwordResetTokenHash',
+  'emailVerificationTokenHash',
+  'twoFactor',
+  'refreshTokenHash',
+  'rotatedTokenHashes',
+  'tokenHash',
+  'secret'
+];
+
+/**
+ * Plain, redacted copy of a document or object for before/after snapshots
+ */
+const toAuditSnapshot = (value) => {
+  if (!value) return null;
+
+  const plain = typeof value.toObject === 'function'
+    ? value.toObject({ depopulate: true })
+    : JSON.parse(JSON.stringify(value));
+
+  SENSITIVE_FIELDS.forEach(field => delete plain[field]);
+  return plain;
+};
+
+/**
+ * Record an audit event for a request
+ * Never throws and is not meant to be awaited: a failure to audit is logged
+ * but does not fail the request.
+ *
+ * @param {object} req      Express request (actor, IP and user agent come from it)
+ * @param {object} event    { action, target: { type, id }, before, after, metadata, actor }
+ */
+const recordAudit = (req, { action, target = {}, before = null, after = null, metadata = null, actor }) => {
+  const actingUser = actor !== undefined ? actor : req.user;
+
+  return AuditEvent.create({
+    action,
+    actor: actingUser ? actingUser._id : null,
+    actorEmail: actingUser ? actingUser.email : null,
+    target: { type: target.type || null, id: target.id || null },
+    ip: req.ip || '',
+    userAgent: (req.get && req.get('user-agent')) || '',
+    before: toAuditSnapshot(before),
+    after: toAuditSnapshot(after),
+    metadata
+  }).catch(error => {
+    console.error('Record audit event error:', error);
+  });
+};
+
+module.exports = { recordAudit, toAuditSnapshot };
@@ -0,0 +1,99 @@
+/**
+ * Minimal RFC 4180 CSV parser
+ * Handles quoted fields, escaped quotes ("") and CRLF/LF line endings.
+ * Returns an array of rows, each an array of strings; blank lines are skipped.
+ */
+const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark written by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV with a header row into objects keyed by column name
+ */
+const parseCsvObjects = (text, delimiter = ',') => {
+  const [header, ...rows] = parseCsv(text, delimiter);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return rows.map(values => Object.fromEntries(columns.map((column, i) => [column, values[i] ?? ''])));
+};
+
+/**
+ * Serialize one row of values as a CSV line (with trailing CRLF)
+ * Fields are quoted when needed. Text starting with =, +, - or @ is prefixed
+ * with a quote so spreadsheets do not evaluate it as a formula.
+ */
+const toCsvRow = (values, delimiter = ',') => {
+  return values.map(value => {
+    if (value === undefined || value === null) return '';
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+      text = `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+  }).join(delimiter) + '\r\n';
+};
+
+module.exports = { parseCsv, parseCsvObjects, toCsvRow };
@@ -0,0 +1,66 @@
+const Data = require('../models/Data');
+const { buildListQuery } = require('./dataQuery');
+const { getDataSummary, getDataTimeseries } = require('./dataStats');
+
+/**
+ * Resolve the data of one widget
+ *
+ * @param {object} widget         Dashboard widget
+ * @param {object} context
+ * @param {object} context.user       Viewer
+ * @param {object} context.dataScope  Records the dashboard covers
+ * @param {boolean} context.publicOnly Restrict to public records (viewers outside the space)
+ */
+const renderWidget = async (widget, { user, dataScope, publicOnly }) => {
+  const query = widget.query || {};
+  // Stored widget searches keep the substring matching they were created with
+  const { filter, error } = await buildListQuery(
+    { user, dataScope, workspace: dataScope.workspace || null },
+    query.filters || {},
+    { searchFallback: true }
+  );
+
+  if (error) throw new Error(error);
+  if (publicOnly) filter.isPublic = true;
+
+  switch (query.source) {
+    case 'timeseries': {
+      const to = new Date();
+      const from = new Date(to);
+      from.setDate(from.getDate() - (query.rangeDays - 1));
+
+      return getDataTimeseries(filter, {
+        interval: query.interval,
+        from,
+        to,
+        timezone: query.timezone,
+        splitBy: query.splitBy || null
+      });
+    }
+
+    case 'records':
+      return Data.find(filter)
+        .select('title category value unit status tags isPublic createdAt updatedAt')
+        .sort({ createdAt: -1 })
+        .limit(query.limit)
+        .lean();
+
+    default:
+      return getDataSummary(filter);
+  }
+};
+
+/**
+ * Resolve every widget of a dashboard in parallel
+ * A failing widget reports its error without failing the others.
+ */
+const renderDashboard = (dashboard, context) => Promise.all(dashboard.widgets.map(async (widget) => {
+  try {
+    return { widget: widget._id, data: await renderWidget(widget, context) };
+  } catch (error) {
+    console.error('Render widget error:', error);
+    return { widget: widget._id, error: 'Widget data could not be loaded' };
+  }
+}));
+
+module.exports = { renderWidget, renderDashboard };
@@ -0,0 +1,81 @@
+const { validateDataInput } = require('./dataValidation');
+const { normalizeTags } = require('./tags');
+
+// Operations accepted by POST /api/data/bulk
+const BULK_OPERATIONS = ['update', 'setStatus', 'addTags', 'removeTags', 'togglePublic', 'delete'];
+const MAX_BULK_ITEMS = parseInt(process.env.BULK_MAX_ITEMS) || 1000;
+
+/**
+ * Validate the payload of a bulk operation once, before touching any record
+ * Returns { changes } describing what to apply, or { errors }.
+ */
+const prepareOperation = (operation, payload = {}) => {
+  if (!BULK_OPERATIONS.includes(operation)) {
+    return { errors: [`Operation must be one of: ${BULK_OPERATIONS.join(', ')}`] };
+  }
+
+  switch (operation) {
+    case 'update': {
+      const { fields, errors } = validateDataInput(payload, { partial: true });
+      if (errors.length > 0) return { errors };
+      if (Object.keys(fields).length === 0) return { errors: ['No fields to update'] };
+      return { changes: { fields } };
+    }
+
+    case 'setStatus': {
+      if (payload.status === undefined) return { errors: ['Status is required'] };
+      const { fields, errors } = validateDataInput({ status: payload.status }, { partial: true });
+      if (errors.length > 0) return { errors };
+      return { changes: { fields } };
+    }
+
+    case 'addTags':
+    case 'removeTags': {
+      const tags = Array.isArray(payload.tags) ? normalizeTags(payload.tags) : [];
+      if (tags.length === 0) return { errors: ['Tags must be a non-empty array of strings'] };
+      return { changes: { tags } };
+    }
+
+    case 'togglePublic': {
+      // Without an explicit value each record flips its own flag
+      if (payload.isPublic !== undefined && typeof payload.isPublic !== 'boolean') {
+        return { errors: ['isPublic must be a boolean'] };
+      }
+      return { changes: { isPublic: payload.isPublic } };
+    }
+
+    default:
+      return { changes: {} };
+  }
+};
+
+/**
+ * Apply a prepared (non-delete) operation to a loaded record in memory
+ */
+const applyOperation = (data, operation, changes) => {
+  switch (operation) {
+    case 'update':
+    case 'setStatus':
+      data.set(changes.fields);
+      break;
+
+    case 'addTags':
+      data.tags = [...data.tags, ...changes.tags.filter(tag => !data.tags.includes(tag))];
+      break;
+
+    case 'removeTags':
+      data.tags = data.tags.filter(tag => !changes.tags.includes(tag));
+      break;
+
+    case 'togglePublic':
+      data.isPublic = changes.isPublic !== undefined ? changes.isPublic : !data.isPublic;
+      break;
+  }
+};
+
+module.exports = {
+  BULK_OPERATIONS,
+  MAX_BULK_ITEMS,
+  prepareOperation,
+  applyOperation
+};
@@ -0,0 +1,107 @@
+const { EventEmitter } = require('events');
+
+// Event types published when data records change
+const DATA_EVENT_TYPES = ['data.created', 'data.updated', 'data.deleted'];
+
+// Recent events kept in memory so reconnecting streams can catch up
+const MAX_BUFFERED_EVENTS = 1000;
+
+// Event ids are <process>-<sequence>; ids from an earlier process cannot be resumed
+const PROCESS_ID = Date.now().toString(36);
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const recentEvents = [];
+let sequence = 0;
+
+const toId = (value) => (value ? (value._id || value).toString() : null);
+
+/**
+ * Publish a change of a data record to every subscriber
+ * Called by the Data model's save, insert and delete middleware, so every
+ * writer goes through it. Deleted records are published with their last
+ * state. Subscriber errors are logged, never thrown.
+ *
+ * @param {string} type      One of DATA_EVENT_TYPES
+ * @param {object} record    The Data document (or plain object)
+ * @param {object} options   { actor } - id of the user who made the change
+ */
+const publishDataEvent = (type, record, { actor = null } = {}) => {
+  const data = typeof record.toObject === 'function' ? record.toObject({ depopulate: true }) : { ...record };
+
+  sequence += 1;
+  const event = {
+    id: `${PROCESS_ID}-${sequence}`,
+    sequence,
+    type,
+    user: toId(data.user),
+    workspace: toId(data.workspace),
+    actor: toId(actor),
+    data,
+    occurredAt: new Date()
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > MAX_BUFFERED_EVENTS) {
+    recentEvents.shift();
+  }
+
+  emitter.listeners('event').forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Data event subscriber error:', error);
+    }
+  });
+
+  return event;
+};
+
+/**
+ * Subscribe to data change events; returns a function that unsubscribes
+ */
+const subscribeToDataEvents = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+/**
+ * Events published after the event with the given id
+ * Returns null when the id is unknown or too old to replay, in which case the
+ * caller has missed events and must refetch its state.
+ */
+const getEventsSince = (lastEventId) => {
+  const [processId, rawSequence] = String(lastEventId).split('-');
+  const lastSequence = Number(rawSequence);
+
+  if (processId !== PROCESS_ID || !Number.isInteger(lastSequence) || lastSequence > sequence) {
+    return null;
+  }
+
+  const oldest = recentEvents.length > 0 ? recentEvents[0].sequence : sequence + 1;
+  if (lastSequence < oldest - 1) {
+    return null;
+  }
+
+  return recentEvents.filter(event => event.sequence > lastSequence);
+};
+
+/**
+ * Whether an event concerns the records of a data scope (see resolveDataScope)
+ */
+const eventMatchesScope = (event, scope) => {
+  if (scope.workspace) {
+    return event.workspace === scope.workspace.toString();
+  }
+
+  return !event.workspace && event.user === scope.user.toString();
+};
+
+module.exports = {
+  DATA_EVENT_TYPES,
+  publishDataEvent,
+  subscribeToDataEvents,
+  getEventsSince,
+  eventMatchesScope
+};
@@ -0,0 +1,156 @@
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { toCsvRow } = require('./csv');
+const { waitForDrain, writeChunk } = require('./stream');
+
+// Exportable columns; the names double as import column names
+const EXPORT_COLUMNS = {
+  id: record => record._id.toString(),
+  title: record => record.title,
+  description: record => record.description,
+  category: record => record.category,
+  value: record => record.value,
+  unit: record => record.unit,
+  status: record => record.status,
+  tags: record => record.tags || [],
+  isPublic: record => record.isPublic,
+  owner: record => (record.user ? record.user.name : null),
+  ownerEmail: record => (record.user ? record.user.email : null),
+  workspace: record => (record.workspace ? record.workspace.toString() : null),
+  source: record => (record.metadata ? record.metadata.source : null),
+  version: record => (record.metadata ? record.metadata.version : null),
+  createdAt: record => record.createdAt,
+  updatedAt: record => record.updatedAt
+};
+
+const DEFAULT_COLUMNS = ['id', 'title', 'description', 'category', 'value', 'unit', 'status', 'tags', 'isPublic', 'createdAt', 'updatedAt'];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+/**
+ * Parse a comma-separated column list
+ * Returns { columns } or { error } naming the unknown columns
+ */
+const parseColumns = (value) => {
+  if (!value) return { columns: DEFAULT_COLUMNS };
+
+  const columns = [...new Set(String(value).split(',').map(column => column.trim()).filter(Boolean))];
+  const unknown = columns.filter(column => !EXPORT_COLUMNS[column]);
+
+  if (columns.length === 0 || unknown.length > 0) {
+    return { error: `Unknown export columns: ${unknown.join(', ') || '(none)'}` };
+  }
+
+  return { columns };
+};
+
+/**
+ * Set the download headers of an export response
+ */
+const setExportHeaders = (res, format, baseName) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${baseName}-${date}.${extension}"`);
+};
+
+/**
+ * Create a writer streaming rows of the given columns to a response
+ * Returns { write(values), end() }; write resolves to false once the
+ * client has disconnected.
+ */
+const createRowWriter = (res, format, columns, sheetName = 'Data') => {
+  if (format === 'xlsx') {
+    // The workbook is compressed into a stream of ours that feeds the
+    // response, so its buffer tells when the client is reading too slowly
+    const output = new PassThrough();
+    output.pipe(res);
+    res.on('close', () => output.destroy());
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(column => ({ header: column, key: column }));
+
+    // Yield after each row so compression keeps up, then wait while the
+    // compressed output holds more than a buffer's worth
+    const waitForRoom = async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      if (output.writableNeedDrain) await waitForDrain(output);
+    };
+
+    return {
+      write: async (values) => {
+        if (res.destroyed) return false;
+        sheet.addRow(values.map(value => (Array.isArray(value) ? value.join(', ') : value))).commit();
+        await waitForRoom();
+        return !res.destroyed;
+      },
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+
+  if (format === 'ndjson') {
+    return {
+      write: (values) => writeChunk(res, JSON.stringify(Object.fromEntries(columns.map((column, i) => [column, values[i] ?? null]))) + '\n'),
+      end: async () => res.end()
+    };
+  }
+
+  const BOM = '\uFEFF';
+  let headerWritten = false;
+
+  return {
+    write: async (values) => {
+      if (!headerWritten) {
+        headerWritten = true;
+        // BOM so spreadsheet apps detect UTF-8
+        if (!(await writeChunk(res, BOM + toCsvRow(columns)))) return false;
+      }
+      return writeChunk(res, toCsvRow(values.map(value => (Array.isArray(value) ? value.join(', ') : value))));
+    },
+    end: async () => {
+      if (!headerWritten) res.write(BOM + toCsvRow(columns));
+      res.end();
+    }
+  };
+};
+
+/**
+ * Stream every record of a cursor through a row writer
+ * Returns the number of rows written; stops early if the client disconnects.
+ */
+const streamRecords = async (cursor, writer, columns) => {
+  let count = 0;
+
+  try {
+    for await (const record of cursor) {
+      if (!(await writer.write(columns.map(column => EXPORT_COLUMNS[column](record))))) {
+        return count;
+      }
+      count++;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  await writer.end();
+  return count;
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  EXPORT_FORMATS,
+  parseColumns,
+  setExportHeaders,
+  createRowWriter,
+  streamRecords
+};
@@ -0,0 +1,194 @@
+const { normalizeTag } = require('./tags');
+
+/**
+ * Structured filter syntax of the data list
+ *
+ *   category=reports                  equality (lists: category=a,b)
+ *   category[in]=reports,metrics      operators in brackets
+ *   value[gte]=100&value[lte]=500     ranges
+ *   createdAt[gte]=2026-09-01         ISO dates
+ *   tags[all]=q3,prod                 tags: any, all, none
+ *
+ * Only the fields and operators below are accepted.
+ */
+const FILTER_FIELDS = {
+  category: { type: 'string', operators: ['eq', 'ne', 'in', 'nin'] },
+  status: { type: 'string', operators: ['eq', 'ne', 'in', 'nin'] },
+  unit: { type: 'string', operators: ['eq', 'ne', 'in', 'nin'] },
+  isPublic: { type: 'boolean', operators: ['eq'] },
+  value: { type: 'number', operators: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'] },
+  createdAt: { type: 'date', operators: ['gt', 'gte', 'lt', 'lte'] },
+  updatedAt: { type: 'date', operators: ['gt', 'gte', 'lt', 'lte'] },
+  tags: { type: 'tag', operators: ['any', 'all', 'none'] }
+};
+
+// Operator used when a field is given without brackets
+const DEFAULT_OPERATORS = { string: 'eq', boolean: 'eq', number: 'eq', date: null, tag: 'all' };
+
+const MONGO_OPERATORS = {
+  eq: '$eq',
+  ne: '$ne',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  in: '$in',
+  nin: '$nin',
+  any: '$in',
+  all: '$all',
+  none: '$nin'
+};
+
+const LIST_OPERATORS = ['in', 'nin', 'any', 'all', 'none'];
+const MAX_LIST_VALUES = 100;
+
+// Fields the list can be sorted by
+const SORT_FIELDS = ['title', 'category', 'value', 'unit', 'status', 'createdAt', 'updatedAt'];
+
+// Non-filter parameters of the list route
+const LIST_PARAMS = ['page', 'limit', 'search', 'user', 'shared', 'sortBy', 'sortOrder', 'view'];
+
+/**
+ * Operator of a field given without brackets: equality, or a list match
+ * for comma-separated and repeated values (tags default to all)
+ */
+const getDefaultOperator = (type, raw) => {
+  const isList = Array.isArray(raw) || (typeof raw === 'string' && raw.includes(','));
+
+  if (isList && type !== 'date') {
+    return type === 'tag' ? 'all' : 'in';
+  }
+
+  return DEFAULT_OPERATORS[type];
+};
+
+/**
+ * Convert one raw value to the field type; returns undefined when invalid
+ */
+const coerceValue = (field, type, raw) => {
+  if (typeof raw !== 'string' && typeof raw !== 'number' && typeof raw !== 'boolean') {
+    return undefined;
+  }
+
+  const text = String(raw).trim();
+
+  switch (type) {
+    case 'number': {
+      const number = text === '' ? NaN : Number(text);
+      return Number.isFinite(number) ? number : undefined;
+    }
+
+    case 'date': {
+      const date = new Date(text);
+      return text && !isNaN(date.getTime()) ? date : undefined;
+    }
+
+    case 'boolean':
+      return { true: true, false: false }[text];
+
+    case 'tag':
+      return normalizeTag(text) || undefined;
+
+    default:
+      if (!text) return undefined;
+      return field === 'category' ? text.toLowerCase() : text;
+  }
+};
+
+/**
+ * Parse the filter fields of a set of list parameters into a Mongo filter
+ * Parameters named in `allow` (besides the list's own) are ignored; any
+ * other unknown parameter, operator or malformed value is an error.
+ *
+ * @param {object} params              Query parameters
+ * @param {object} [options]
+ * @param {string[]} [options.allow]   Extra parameters the caller handles itself
+ * @returns {{ filter: object, errors: string[] }}
+ */
+const parseDataFilter = (params = {}, { allow = [] } = {}) => {
+  const filter = {};
+  const errors = [];
+
+  Object.entries(params).forEach(([field, raw]) => {
+    if (LIST_PARAMS.includes(field) || allow.includes(field)) return;
+
+    const definition = FILTER_FIELDS[field];
+    if (!definition) {
+      errors.push(`Unknown filter field: ${field}`);
+      return;
+    }
+
+    const conditions = raw && typeof raw === 'object' && !Array.isArray(raw)
+      ? Object.entries(raw)
+      : [[getDefaultOperator(definition.type, raw), raw]];
+
+    conditions.forEach(([operator, value]) => {
+      if (!operator) {
+        errors.push(`${field} needs an operator: ${definition.operators.join(', ')}`);
+        return;
+      }
+
+      if (!definition.operators.includes(operator)) {
+        errors.push(`Unsupported operator for ${field}: ${operator}`);
+        return;
+      }
+
+      let converted;
+
+      if (LIST_OPERATORS.includes(operator)) {
+        const values = Array.isArray(value) ? value : String(value).split(',');
+        converted = values.map(item => coerceValue(field, definition.type, item));
+
+        if (values.length === 0 || values.length > MAX_LIST_VALUES || converted.includes(undefined)) {
+          errors.push(`Invalid list for ${field}[${operator}] (1 to ${MAX_LIST_VALUES} values)`);
+          return;
+        }
+      } else {
+        converted = coerceValue(field, definition.type, value);
+
+        if (converted === undefined) {
+          errors.push(`Invalid ${definition.type} for ${field}[${operator}]`);
+          return;
+        }
+      }
+
+      filter[field] = { ...filter[field], [MONGO_OPERATORS[operator]]: converted };
+    });
+  });
+
+  return { filter, errors };
+};
+
+/**
+ * Validate the sort parameters of the list
+ * `relevance` sorts by text search score; it is the default while a text
+ * search is active and falls back to createdAt otherwise. Relevance pages
+ * carry no cursors, so a request with a cursor (`cursor`) defaults to
+ * createdAt, the order its cursor was issued for.
+ * Returns { sort } or { error }
+ */
+const parseSort = ({ sortBy, sortOrder = 'desc' } = {}, { textSearch = false, cursor = false } = {}) => {
+  const field = sortBy || (textSearch && !cursor ? 'relevance' : 'createdAt');
+
+  if (field === 'relevance') {
+    return { sort: textSearch ? { score: { $meta: 'textScore' } } : { createdAt: -1 } };
+  }
+
+  if (!SORT_FIELDS.includes(field)) {
+    return { error: `sortBy must be one of: relevance, ${SORT_FIELDS.join(', ')}` };
+  }
+
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    return { error: 'sortOrder must be asc or desc' };
+  }
+
+  return { sort: { [field]: sortOrder === 'desc' ? -1 : 1 } };
+};
+
+module.exports = {
+  FILTER_FIELDS,
+  SORT_FIELDS,
+  LIST_PARAMS,
+  parseDataFilter,
+  parseSort
+};
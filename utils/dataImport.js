@@ -0,0 +1,194 @@
+const Data = require('../models/Data');
+const DataRevision = require('../models/DataRevision');
+const ImportJob = require('../models/ImportJob');
+const { parseCsvObjects } = require('./csv');
+const { validateDataInput } = require('./dataValidation');
+
+// Record fields that can be filled from an import column
+const IMPORT_FIELDS = ['title', 'description', 'category', 'value', 'unit', 'tags', 'status'];
+const INSERT_BATCH_SIZE = 500;
+
+/**
+ * Work out the file format from an explicit choice, the extension or the MIME type
+ */
+const detectFormat = (file, requested) => {
+  if (requested) return requested;
+
+  const name = (file.originalname || '').toLowerCase();
+  if (name.endsWith('.csv') || file.mimetype === 'text/csv') return 'csv';
+  if (name.endsWith('.ndjson') || name.endsWith('.jsonl') || file.mimetype === 'application/x-ndjson') return 'ndjson';
+  if (name.endsWith('.json') || file.mimetype === 'application/json') return 'json';
+
+  return null;
+};
+
+/**
+ * Parse an uploaded file into an array of plain objects
+ * Throws an Error with a client-facing message when the file is malformed
+ */
+const parseImportFile = (buffer, format) => {
+  const text = buffer.toString('utf8');
+
+  if (format === 'csv') {
+    return parseCsvObjects(text);
+  }
+
+  if (format === 'json') {
+    const parsed = JSON.parse(text);
+    if (!Array.isArray(parsed)) {
+      throw new Error('JSON imports must contain an array of records');
+    }
+    return parsed;
+  }
+
+  if (format === 'ndjson') {
+    return text.split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), index }))
+      .filter(({ line }) => line)
+      .map(({ line, index }) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Invalid JSON on line ${index + 1}`);
+        }
+      });
+  }
+
+  throw new Error('Unsupported import format');
+};
+
+/**
+ * Map one raw row onto record fields using a { field: column } mapping
+ * Columns default to the field name. Strings from CSV are coerced:
+ * numeric values, and tags separated by commas, semicolons or pipes.
+ */
+const mapRow = (raw, mapping = {}) => {
+  const input = {};
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return input;
+  }
+
+  IMPORT_FIELDS.forEach(field => {
+    const column = mapping[field] || field;
+    let value = raw[column];
+
+    if (value === undefined || value === null || value === '') return;
+
+    if (field === 'value' && typeof value === 'string') {
+      value = value.trim() === '' ? NaN : Number(value.trim());
+    }
+
+    if (field === 'tags' && typeof value === 'string') {
+      value = value.split(/[,;|]/);
+    }
+
+    if (field === 'category' && typeof value === 'string') {
+      value = value.trim().toLowerCase();
+    }
+
+    input[field] = value;
+  });
+
+  return input;
+};
+
+/**
+ * Map and validate every row
+ * Row numbers are 1-based positions among the data rows.
+ */
+const validateRows = (rows, mapping, validationOptions = {}) => {
+  const valid = [];
+  const invalid = [];
+
+  rows.forEach((raw, index) => {
+    const { fields, errors } = validateDataInput(mapRow(raw, mapping), validationOptions);
+
+    if (errors.length > 0) {
+      invalid.push({ row: index + 1, messages: errors });
+    } else {
+      valid.push({ row: index + 1, fields });
+    }
+  });
+
+  return { valid, invalid };
+};
+
+/**
+ * Insert the valid rows of an import job in batches
+ * Progress is saved on the job after every batch; each record gets its
+ * baseline revision since bulk inserts skip the save middleware. The job
+ * stays locked to this server until it finishes.
+ */
+const runImport = async (job, validRows) => {
+  const source = `import:${job._id}`;
+
+  job.status = 'processing';
+  job.startedAt = new Date();
+  // Rejected rows count as processed
+  job.processedRows = job.failedCount;
+  await job.save();
+
+  const stopLocking = job.keepLocked();
+
+  try {
+    for (let i = 0; i < validRows.length; i += INSERT_BATCH_SIZE) {
+      const batch = validRows.slice(i, i + INSERT_BATCH_SIZE);
+
+      const docs = await Data.insertMany(batch.map(({ fields }) => ({
+        ...fields,
+        user: job.user,
+        workspace: job.workspace,
+        metadata: { source, lastUpdated: new Date(), version: 1 }
+      })));
+
+      await DataRevision.insertMany(docs.map(doc => ({
+        data: doc._id,
+        revision: 1,
+        action: 'create',
+        actor: job.user,
+        changes: [],
+        snapshot: Object.fromEntries(Data.TRACKED_FIELDS.map(field => [field, doc.toObject()[field] ?? null]))
+      })));
+
+      job.insertedCount += docs.length;
+      job.processedRows += batch.length;
+      await job.save();
+    }
+
+    job.processedRows = job.totalRows;
+    job.status = 'completed';
+  } catch (error) {
+    console.error('Import job error:', error);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  stopLocking();
+  job.finishedAt = new Date();
+  await job.save();
+  return job;
+};
+
+/**
+ * Fail the import jobs of stopped servers, now and then periodically
+ * A server that stopped may only be noticed once its jobs' locks lapse.
+ */
+const startImportMonitor = () => {
+  const check = () => ImportJob.failInterrupted().catch(error => {
+    console.error('Interrupted imports check error:', error);
+  });
+
+  setInterval(check, ImportJob.LOCK_DURATION_MS).unref();
+  return check();
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  detectFormat,
+  parseImportFile,
+  mapRow,
+  validateRows,
+  runImport,
+  startImportMonitor
+};
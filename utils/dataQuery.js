@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const DataShare = require('../models/DataShare');
+const SavedView = require('../models/SavedView');
+const { hasPermission } = require('./permissions');
+const { parseDataFilter, parseSort } = require('./dataFilter');
+const { buildSearchFilter } = require('./search');
+
+// Fields covered by the data text index
+const DATA_SEARCH_FIELDS = ['title', 'description', 'tags'];
+
+/**
+ * Build the Mongo filter and sort of a data listing from the query string
+ * Shared by the list, export, stats and bulk routes so they select the same
+ * records. Expects resolveDataScope to have run. Parameters default to the
+ * query string; `allow` names extra parameters the caller handles itself
+ * (see parseDataFilter). Returns { filter, sort, projection, search }, or
+ * { status, error } when the request is invalid or not allowed. `search`
+ * (mode and parsed query, see utils/search) is null without ?search=.
+ * `searchFallback` keeps the substring matching saved searches were made with.
+ */
+const buildListQuery = async (req, params = req.query, { allow = [], searchFallback = false } = {}) => {
+  const { search, user, shared } = params;
+
+  const parsed = parseDataFilter(params, { allow });
+  if (parsed.errors.length > 0) {
+    return { status: 400, error: parsed.errors[0], details: parsed.errors };
+  }
+
+  if (search !== undefined && typeof search !== 'string') {
+    return { status: 400, error: 'Search must be a string' };
+  }
+
+  const searchQuery = search ? buildSearchFilter(search, DATA_SEARCH_FIELDS, { fallback: searchFallback }) : null;
+  const textSearch = Boolean(searchQuery && searchQuery.mode === 'text');
+
+  const sorting = parseSort(params, { textSearch, cursor: Boolean(params.after || params.before) });
+  if (sorting.error) {
+    return { status: 400, error: sorting.error };
+  }
+
+  const filter = { ...req.dataScope };
+
+  // Listing another user's personal records requires data:read:any
+  if (!req.workspace && user && user !== req.user._id.toString()) {
+    if (!mongoose.isValidObjectId(user)) {
+      return { status: 400, error: 'Invalid user ID' };
+    }
+
+    if (!(await hasPermission(req.user, 'data:read:any'))) {
+      return { status: 403, error: 'Access denied' };
+    }
+
+    filter.user = new mongoose.Types.ObjectId(user);
+  }
+
+  // "Shared with me": records other users granted access to
+  if (!req.workspace && shared === 'true') {
+    delete filter.user;
+    delete filter.workspace;
+    filter._id = { $in: await DataShare.findSharedDataIds(req.user._id) };
+  }
+
+  Object.assign(filter, parsed.filter);
+
+  if (searchQuery && searchQuery.filter) {
+    Object.assign(filter, searchQuery.filter);
+  }
+
+  return {
+    filter,
+    sort: sorting.sort,
+    projection: textSearch ? { score: { $meta: 'textScore' } } : null,
+    search: searchQuery && searchQuery.filter ? { mode: searchQuery.mode, parsed: searchQuery.parsed } : null
+  };
+};
+
+/**
+ * Merge the list parameters of a saved view with the query string
+ * Uses ?view=<id>, or the user's default view of the space when no view is
+ * given (?view=none skips it). Explicit query parameters win. Returns
+ * { params, view, searchFallback }, or { status, error } for an unknown view;
+ * searchFallback is set when the search comes from the view (see buildListQuery).
+ */
+const resolveListParams = async (req) => {
+  const { view: viewId, ...query } = req.query;
+  const workspaceId = req.workspace ? req.workspace._id : null;
+  let view = null;
+
+  if (viewId && viewId !== 'none') {
+    if (!mongoose.isValidObjectId(viewId)) {
+      return { status: 400, error: 'Invalid view ID' };
+    }
+
+    // Views only apply in the space they were saved for
+    view = await SavedView.findOne({ _id: viewId, user: req.user._id, workspace: workspaceId });
+
+    if (!view) {
+      return { status: 404, error: 'View not found' };
+    }
+  } else if (!viewId) {
+    view = await SavedView.findDefault(req.user._id, workspaceId);
+  }
+
+  const params = { ...(view ? view.params : {}), ...query };
+
+  return {
+    params,
+    view,
+    searchFallback: Boolean(view && params.search !== undefined && query.search === undefined)
+  };
+};
+
+module.exports = { DATA_SEARCH_FIELDS, buildListQuery, resolveListParams };
@@ -0,0 +1,177 @@
+const Data = require('../models/Data');
+
+/**
+ * Compute the stats summary of the records matching a filter
+ */
+const getDataSummary = async (match) => {
+  const stats = await Data.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        totalRecords: { $sum: 1 },
+        totalValue: { $sum: '$value' },
+        avgValue: { $avg: '$value' },
+        categories: { $addToSet: '$category' },
+        statuses: { $addToSet: '$status' }
+      }
+    }
+  ]);
+
+  // Get category breakdown
+  const categoryStats = await Data.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$category',
+        count: { $sum: 1 },
+        totalValue: { $sum: '$value' }
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+
+  const summary = stats[0] || {
+    totalRecords: 0,
+    totalValue: 0,
+    avgValue: 0,
+    categories: [],
+    statuses: []
+  };
+
+  return {
+    ...summary,
+    categoryBreakdown: categoryStats
+  };
+};
+
+// Bucket sizes of the timeseries, in Mongo $dateTrunc units
+const TIMESERIES_INTERVALS = ['day', 'week', 'month'];
+const MAX_BUCKETS = 1000;
+
+/**
+ * Format a date as YYYY-MM-DD in a timezone; throws RangeError for unknown zones
+ */
+const toLocalDate = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date);
+
+/**
+ * List the bucket labels (local start dates) covering a range
+ * Works on calendar dates, so DST changes cannot shift buckets.
+ * Weeks start on Monday, like the aggregation.
+ */
+const listBuckets = (from, to, interval, timeZone) => {
+  const toDay = date => {
+    const [year, month, day] = toLocalDate(date, timeZone).split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  };
+
+  const current = toDay(from);
+  const end = toDay(to);
+
+  if (interval === 'week') current.setUTCDate(current.getUTCDate() - ((current.getUTCDay() + 6) % 7));
+  if (interval === 'month') current.setUTCDate(1);
+
+  const buckets = [];
+  while (current <= end && buckets.length <= MAX_BUCKETS) {
+    buckets.push(current.toISOString().slice(0, 10));
+
+    if (interval === 'day') current.setUTCDate(current.getUTCDate() + 1);
+    if (interval === 'week') current.setUTCDate(current.getUTCDate() + 7);
+    if (interval === 'month') current.setUTCMonth(current.getUTCMonth() + 1);
+  }
+
+  return buckets;
+};
+
+/**
+ * Compute value statistics per time bucket for the records matching a filter
+ * Runs one aggregation; empty buckets are filled in afterwards.
+ *
+ * @param {object} match                 Mongo filter of the records
+ * @param {object} options
+ * @param {string} options.interval      'day', 'week' or 'month'
+ * @param {Date} options.from            Range start (inclusive)
+ * @param {Date} options.to              Range end (inclusive)
+ * @param {string} [options.timezone]    IANA timezone of the buckets
+ * @param {string} [options.dateField]   'createdAt' or 'updatedAt'
+ * @param {string} [options.splitBy]     'category' or 'tag' for one series per value
+ * @param {number} [options.maxSeries]   Keep the series with the most records
+ * @returns {Promise<{ buckets: string[], series: object[] }>}
+ */
+const getDataTimeseries = async (match, {
+  interval,
+  from,
+  to,
+  timezone = 'UTC',
+  dateField = 'createdAt',
+  splitBy = null,
+  maxSeries = 10
+}) => {
+  const buckets = listBuckets(from, to, interval, timezone);
+  const splitField = { category: '$category', tag: '$tags' }[splitBy] || null;
+
+  const rows = await Data.aggregate([
+    { $match: { $and: [match, { [dateField]: { $gte: from, $lte: to } }] } },
+    // A record counts once for each of its tags
+    ...(splitBy === 'tag' ? [{ $unwind: '$tags' }] : []),
+    {
+      $group: {
+        _id: {
+          bucket: {
+            $dateToString: {
+              format: '%Y-%m-%d',
+              timezone,
+              date: { $dateTrunc: { date: `$${dateField}`, unit: interval, timezone, startOfWeek: 'monday' } }
+            }
+          },
+          series: splitField
+        },
+        count: { $sum: 1 },
+        sum: { $sum: '$value' },
+        avg: { $avg: '$value' },
+        min: { $min: '$value' },
+        max: { $max: '$value' }
+      }
+    },
+    { $sort: { '_id.bucket': 1 } }
+  ]);
+
+  // Group rows by series, then fill the buckets without records
+  const seriesByKey = new Map();
+  rows.forEach(({ _id, ...stats }) => {
+    if (!seriesByKey.has(_id.series)) seriesByKey.set(_id.series, new Map());
+    seriesByKey.get(_id.series).set(_id.bucket, stats);
+  });
+
+  if (!splitField && seriesByKey.size === 0) {
+    seriesByKey.set(null, new Map());
+  }
+
+  const series = [...seriesByKey.entries()]
+    .map(([key, statsByBucket]) => ({
+      key,
+      total: [...statsByBucket.values()].reduce((total, stats) => total + stats.count, 0),
+      points: buckets.map(bucket => ({
+        bucket,
+        ...(statsByBucket.get(bucket) || { count: 0, sum: 0, avg: null, min: null, max: null })
+      }))
+    }))
+    .sort((a, b) => b.total - a.total)
+    .slice(0, splitField ? maxSeries : 1);
+
+  return { buckets, series };
+};
+
+module.exports = {
+  TIMESERIES_INTERVALS,
+  MAX_BUCKETS,
+  toLocalDate,
+  listBuckets,
+  getDataSummary,
+  getDataTimeseries
+};
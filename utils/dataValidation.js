@@ -0,0 +1,96 @@
+const { normalizeTags } = require('./tags');
+
+// Allowed values shared by the routes and the import pipeline
+const VALID_STATUSES = ['active', 'inactive', 'pending'];
+
+const isBlankString = value => typeof value !== 'string' || !value.trim();
+
+/**
+ * Validate and normalize data record input
+ * Applies the rules of the create handler (or, with `partial`, of the
+ * update handler, where every field is optional).
+ *
+ * @param {object} input                Raw fields (request body or import row)
+ * @param {object} [options]
+ * @param {boolean} [options.partial]   Only validate fields that are present
+ * @param {string[]} [options.categories] Category names of the record's space;
+ *                                      when omitted only the format is checked
+ * @returns {{ fields: object, errors: string[] }}
+ */
+const validateDataInput = (input, { partial = false, categories = null } = {}) => {
+  const { title, description, category, value, unit, tags, status, isPublic } = input;
+  const fields = {};
+  const errors = [];
+
+  // Validate required fields
+  if (!partial && (!title || !category || value === undefined)) {
+    errors.push('Title, category, and value are required');
+    return { fields, errors };
+  }
+
+  if (title !== undefined) {
+    if (isBlankString(title)) {
+      errors.push('Title must be a non-empty string');
+    } else {
+      fields.title = title.trim();
+    }
+  }
+
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') {
+      errors.push('Description must be a string');
+    } else {
+      fields.description = description ? description.trim() : '';
+    }
+  }
+
+  if (category !== undefined) {
+    const name = typeof category === 'string' ? category.trim().toLowerCase() : '';
+
+    if (!name || (categories && !categories.includes(name))) {
+      errors.push('Invalid category');
+    } else {
+      fields.category = name;
+    }
+  }
+
+  if (value !== undefined) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      errors.push('Value must be a positive number');
+    } else {
+      fields.value = value;
+    }
+  }
+
+  if (unit !== undefined) {
+    if (unit !== null && typeof unit !== 'string') {
+      errors.push('Unit must be a string');
+    } else {
+      fields.unit = unit ? unit.trim() : '';
+    }
+  }
+
+  if (tags !== undefined) {
+    fields.tags = Array.isArray(tags) ? normalizeTags(tags) : [];
+  }
+
+  if (status !== undefined) {
+    if (!VALID_STATUSES.includes(status)) {
+      errors.push('Invalid status');
+    } else {
+      fields.status = status;
+    }
+  }
+
+  if (isPublic !== undefined) {
+    if (typeof isPublic !== 'boolean') {
+      errors.push('isPublic must be a boolean');
+    } else {
+      fields.isPublic = isPublic;
+    }
+  }
+
+  return { fields, errors };
+};
+
+module.exports = { VALID_STATUSES, validateDataInput };
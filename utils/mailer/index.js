@@ -0,0 +1,61 @@
+const createSmtpTransport = require('./transports/smtp');
+const createFileTransport = require('./transports/file');
+const templates = require('./templates');
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createFileTransport
+};
+
+let transport = null;
+
+/**
+ * Get the configured mail transport (MAIL_TRANSPORT, defaults to console in
+ * development and smtp elsewhere)
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'development' ? 'console' : 'smtp');
+    const factory = transports[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    transport = factory();
+  }
+
+  return transport;
+};
+
+/**
+ * Replace the active transport (e.g. with an in-memory one in tests)
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the active transport
+ */
+const sendMail = (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@mern-dashboard.local',
+    ...message
+  });
+};
+
+/**
+ * Render a template and send it without blocking the caller
+ * Failures (rendering included) are logged rather than surfaced to the request
+ */
+const sendTemplate = (templateName, ...args) => {
+  return Promise.resolve()
+    .then(() => sendMail(templates[templateName](...args)))
+    .catch(error => {
+      console.error(`Send ${templateName} mail error:`, error);
+    });
+};
+
+module.exports = { getTransport, setTransport, sendMail, sendTemplate };
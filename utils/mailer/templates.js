@@ -0,0 +1,51 @@
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Password reset email
+ */
+const passwordReset = (user, token) => {
+  const url = `${frontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${url}\n\nIf you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password. <a href="${url}">Choose a new password</a>.</p><p>If you did not request this, you can ignore this email.</p>`
+  };
+};
+
+/**
+ * Email address verification email
+ */
+const emailVerification = (user, token) => {
+  const url = `${frontendUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return {
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${url}\n\nIf you did not create an account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please <a href="${url}">confirm your email address</a>.</p><p>If you did not create an account, you can ignore this email.</p>`
+  };
+};
+
+/**
+ * Workspace invitation email
+ */
+const workspaceInvitation = (invitation, workspace, inviter) => {
+  const url = `${frontendUrl()}/invitations`;
+
+  return {
+    to: invitation.email,
+    subject: `${inviter.name} invited you to ${workspace.name}`,
+    text: `${inviter.name} invited you to join the workspace "${workspace.name}" as ${invitation.role}.\n\nSign in with this email address to accept or decline:\n\n${url}`,
+    html: `<p>${escapeHtml(inviter.name)} invited you to join the workspace <strong>${escapeHtml(workspace.name)}</strong> as ${invitation.role}.</p><p><a href="${url}">Sign in with this email address</a> to accept or decline.</p>`
+  };
+};
+
+module.exports = { passwordReset, emailVerification, workspaceInvitation };
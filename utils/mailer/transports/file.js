@@ -0,0 +1,35 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Development transport
+ * Writes each message as a JSON file to MAIL_FILE_DIR, or logs it to the
+ * console when no directory is configured. Messages carry live tokens (password
+ * resets, verification), so console logging is refused outside development.
+ */
+const createFileTransport = () => {
+  const directory = process.env.MAIL_FILE_DIR;
+
+  if (!directory && process.env.NODE_ENV !== 'development') {
+    throw new Error('The console mail transport is only available with NODE_ENV=development; set MAIL_FILE_DIR or use smtp');
+  }
+
+  return {
+    name: directory ? 'file' : 'console',
+    send: async (message) => {
+      const entry = { ...message, sentAt: new Date().toISOString() };
+
+      if (!directory) {
+        console.log('📧 Mail:', JSON.stringify(entry, null, 2));
+        return entry;
+      }
+
+      await fs.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      await fs.writeFile(path.join(directory, fileName), JSON.stringify(entry, null, 2));
+      return entry;
+    }
+  };
+};
+
+module.exports = createFileTransport;
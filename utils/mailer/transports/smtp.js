@@ -0,0 +1,24 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP transport backed by nodemailer
+ * Configured through SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS
+ */
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,103 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Addresses outgoing requests to user-supplied URLs may not reach; IPv4 rules
+// also match IPv4-mapped IPv6 addresses (::ffff:127.0.0.1)
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['::', 96], // IPv4-compatible
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is private, loopback, link-local or otherwise not public
+ */
+const isPrivateAddress = (address) => {
+  const type = net.isIP(address);
+  if (type === 0) return false;
+  return blockedAddresses.check(address, type === 6 ? 'ipv6' : 'ipv4');
+};
+
+const blockedError = (host) => Object.assign(
+  new Error(`Refusing to connect to ${host}: private or local address`),
+  { code: 'EADDRBLOCKED' }
+);
+
+/**
+ * dns.lookup replacement that refuses private addresses
+ * Used as the socket `lookup`, so the address checked is the one connected to.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(blockedError(hostname));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * POST a body to a URL and resolve to the response status
+ * Redirects are not followed and the response body is discarded. Unless
+ * allowPrivate is set, the host is resolved on every request and private
+ * targets are refused (including IP literals, which skip DNS).
+ */
+const postToUrl = (target, { headers = {}, body = '', timeout = 10000, allowPrivate = false } = {}) => new Promise((resolve, reject) => {
+  const url = new URL(target);
+  const client = url.protocol === 'https:' ? https : http;
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+
+  if (!allowPrivate && isPrivateAddress(host)) {
+    return reject(blockedError(host));
+  }
+
+  let timer;
+  const finish = (callback) => (value) => {
+    clearTimeout(timer);
+    callback(value);
+  };
+
+  const request = client.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: allowPrivate ? undefined : publicLookup
+  }, response => {
+    response.resume();
+    response.on('end', () => finish(resolve)(response.statusCode));
+    response.on('error', finish(reject));
+  });
+
+  // Deadline for the whole exchange, not just idle time
+  timer = setTimeout(() => {
+    request.destroy(Object.assign(new Error('Request timed out'), { code: 'ETIMEDOUT' }));
+  }, timeout);
+
+  request.on('error', finish(reject));
+  request.end(body);
+});
+
+module.exports = { isPrivateAddress, publicLookup, postToUrl };
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+const MAX_PAGE_SIZE = parseInt(process.env.MAX_PAGE_SIZE) || 100;
+
+/**
+ * Clamp a requested page size to 1..MAX_PAGE_SIZE
+ */
+const parsePageSize = (limit, fallback = 10) => Math.min(Math.max(parseInt(limit) || fallback, 1), MAX_PAGE_SIZE);
+
+/**
+ * Encode the position of a document in a sort order as an opaque cursor
+ * The cursor records the sort so it cannot be replayed against another one.
+ */
+const encodeCursor = (doc, field, direction) => {
+  const value = doc[field];
+
+  return Buffer.from(JSON.stringify({
+    f: field,
+    d: direction,
+    v: value instanceof Date ? { date: value.toISOString() } : (value ?? null),
+    id: doc._id.toString()
+  })).toString('base64url');
+};
+
+/**
+ * Decode a cursor for the given sort; returns { value, id } or null when invalid
+ */
+const decodeCursor = (cursor, field, direction) => {
+  try {
+    const { f, d, v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (f !== field || d !== direction || !mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    return {
+      value: v && typeof v === 'object' ? new Date(v.date) : v,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Fetch one page of a model, by offset (page) or by cursor (after/before)
+ * Cursor pages are keyed on the sort field plus _id, so inserts while
+ * paging cannot cause duplicates or gaps. `sort` must have a single field.
+ * Returns { items, pagination }, or { error } for an invalid cursor.
+ *
+ * @param {Model} model
+ * @param {object} filter
+ * @param {object} options
+ * @param {object} options.sort        e.g. { createdAt: -1 } or { score: { $meta: 'textScore' } }
+ * @param {number} options.limit       Page size (already clamped)
+ * @param {number} [options.page]      Offset page, used without a cursor
+ * @param {string} [options.after]     Cursor of the last item seen (next page)
+ * @param {string} [options.before]    Cursor of the first item seen (previous page)
+ * @param {boolean} [options.count]    Include the total count (default true)
+ * @param {function} [options.prepare] Adds populate/select to the query
+ */
+const paginate = async (model, filter, { sort, limit, page = 1, after, before, count = true, prepare = query => query }) => {
+  const [[field, direction]] = Object.entries(sort);
+  const cursor = after || before;
+  const backwards = Boolean(before && !after);
+
+  // Relevance ({ $meta: 'textScore' }) is not a stored field a cursor can key on
+  const relevance = typeof direction === 'object';
+  if (relevance && cursor) {
+    return { error: 'Cursor paging is not available when sorting by relevance; use page' };
+  }
+
+  let pageFilter = filter;
+
+  if (cursor) {
+    const position = decodeCursor(cursor, field, direction);
+    if (!position) {
+      return { error: 'Invalid cursor' };
+    }
+
+    // Items further along the sort order, or back towards its start
+    const operator = (direction === -1) !== backwards ? '$lt' : '$gt';
+    pageFilter = {
+      $and: [
+        filter,
+        {
+          $or: [
+            { [field]: { [operator]: position.value } },
+            { [field]: position.value, _id: { [operator]: position.id } }
+          ]
+        }
+      ]
+    };
+  }
+
+  const queryDirection = backwards ? -direction : direction;
+  let query = prepare(model.find(pageFilter))
+    .sort(relevance ? { ...sort, _id: -1 } : { [field]: queryDirection, _id: queryDirection })
+    .limit(limit + 1);
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  if (!cursor) {
+    query = query.skip((pageNumber - 1) * limit);
+  }
+
+  const [docs, total] = await Promise.all([
+    query,
+    count ? model.countDocuments(filter) : Promise.resolve(null)
+  ]);
+
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (backwards) items.reverse();
+
+  const first = items[0];
+  const last = items[items.length - 1];
+  const hasNext = backwards ? Boolean(cursor) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor) || pageNumber > 1;
+
+  const pagination = {
+    limit,
+    nextCursor: hasNext && !relevance ? (last ? encodeCursor(last, field, direction) : before) : null,
+    prevCursor: hasPrev && !relevance ? (first ? encodeCursor(first, field, direction) : after || null) : null
+  };
+
+  if (!cursor) {
+    pagination.page = pageNumber;
+  }
+
+  if (count) {
+    pagination.total = total;
+    pagination.pages = Math.ceil(total / limit);
+  }
+
+  return { items, pagination };
+};
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+  paginate
+};
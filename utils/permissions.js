@@ -0,0 +1,59 @@
+const Role = require('../models/Role');
+const { DEFAULT_ROLES } = require('../config/permissions');
+
+// Role permissions are cached briefly to avoid a lookup on every request
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+/**
+ * Check whether one granted permission covers the required one
+ */
+const permissionMatches = (granted, required) => {
+  if (granted === '*' || granted === required) return true;
+
+  if (granted.endsWith(':*')) {
+    return required.startsWith(granted.slice(0, -1));
+  }
+
+  return false;
+};
+
+/**
+ * Get the permission names granted by a role
+ * Falls back to the built-in defaults if the role has not been stored yet
+ */
+const getRolePermissions = async (roleName) => {
+  const cached = cache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({ name: roleName }).lean();
+  const fallback = DEFAULT_ROLES.find(r => r.name === roleName);
+  const permissions = role ? role.permissions : (fallback ? fallback.permissions : []);
+
+  cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+/**
+ * Check whether a user has every one of the given permissions
+ */
+const hasPermission = async (user, ...required) => {
+  if (!user) return false;
+
+  const granted = await getRolePermissions(user.role);
+  return required.every(permission => granted.some(g => permissionMatches(g, permission)));
+};
+
+/**
+ * Drop cached role permissions (after a role is changed)
+ */
+const clearPermissionCache = () => cache.clear();
+
+module.exports = {
+  permissionMatches,
+  getRolePermissions,
+  hasPermission,
+  clearPermissionCache
+};
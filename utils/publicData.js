@@ -0,0 +1,53 @@
+const { buildSearchFilter } = require('./search');
+const { DATA_SEARCH_FIELDS } = require('./dataQuery');
+const { normalizeTags } = require('./tags');
+
+/**
+ * Serialize a data record for anonymous viewers
+ * The owner's email and internal fields are stripped; a signed-in owner
+ * gets the full record instead.
+ */
+const toPublicData = (data, viewer) => {
+  const ownerId = data.user && (data.user._id || data.user);
+
+  if (viewer && ownerId && ownerId.toString() === viewer._id.toString()) {
+    return { ...data.toObject(), isOwner: true };
+  }
+
+  return {
+    _id: data._id,
+    title: data.title,
+    description: data.description,
+    category: data.category,
+    value: data.value,
+    unit: data.unit,
+    tags: data.tags,
+    owner: data.user ? { name: data.user.name, avatar: data.user.avatar } : null,
+    createdAt: data.createdAt,
+    updatedAt: data.updatedAt
+  };
+};
+
+/**
+ * Build the Mongo filter selecting the records of a shared view link
+ */
+const buildViewFilter = (link) => {
+  const filter = link.workspace
+    ? { workspace: link.workspace }
+    : { user: link.owner, workspace: null };
+  const { category, status, tags, search } = link.filter || {};
+
+  if (category) filter.category = category;
+  if (status) filter.status = status;
+  if (tags && tags.length > 0) filter.tags = { $all: normalizeTags(tags) };
+
+  if (search) {
+    // Stored link filters keep the substring matching they were created with
+    const { filter: searchFilter } = buildSearchFilter(search, DATA_SEARCH_FIELDS, { fallback: true });
+    if (searchFilter) Object.assign(filter, searchFilter);
+  }
+
+  return filter;
+};
+
+module.exports = { toPublicData, buildViewFilter };
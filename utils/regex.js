@@ -0,0 +1,6 @@
+/**
+ * Escape user input for literal use inside a RegExp
+ */
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { escapeRegExp };
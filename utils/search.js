@@ -0,0 +1,161 @@
+const { escapeRegExp } = require('./regex');
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 10;
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Split a search box query into its parts
+ *   "exact phrase"   phrase
+ *   dash*            prefix
+ *   -draft           excluded term
+ *   anything else    term
+ */
+const parseSearchQuery = (input) => {
+  const text = String(input).slice(0, MAX_QUERY_LENGTH);
+  const phrases = [];
+  const terms = [];
+  const prefixes = [];
+  const excluded = [];
+
+  const rest = text.replace(/"([^"]*)"/g, (match, phrase) => {
+    if (phrase.trim()) phrases.push(phrase.trim().replace(/\s+/g, ' '));
+    return ' ';
+  });
+
+  rest.split(/\s+/).forEach(word => {
+    const clean = word.replace(/"/g, '');
+
+    if (clean.startsWith('-') && clean.length > 1) {
+      excluded.push(clean.slice(1).replace(/\*/g, ''));
+    } else if (clean.endsWith('*') && clean.replace(/\*/g, '')) {
+      prefixes.push(clean.replace(/\*/g, ''));
+    } else if (clean.replace(/\*/g, '')) {
+      terms.push(clean.replace(/\*/g, ''));
+    }
+  });
+
+  return {
+    phrases: phrases.slice(0, MAX_TERMS),
+    terms: terms.slice(0, MAX_TERMS),
+    prefixes: prefixes.slice(0, MAX_TERMS),
+    excluded: excluded.filter(Boolean).slice(0, MAX_TERMS)
+  };
+};
+
+/**
+ * Build the Mongo filter of a search query over some fields
+ * Uses the collection's text index (relevance-scored) when it can. Prefix
+ * queries, queries without positive terms and `fallback` use escaped
+ * regular expressions instead, where every part must match some field.
+ *
+ * @param {string} input          Search box text
+ * @param {string[]} fields       Searched fields (covered by the text index)
+ * @param {object} [options]
+ * @param {boolean} [options.fallback] Force regex matching
+ * @returns {{ filter: object|null, mode: 'text'|'regex'|null, parsed: object }}
+ */
+const buildSearchFilter = (input, fields, { fallback = false } = {}) => {
+  const parsed = parseSearchQuery(input);
+  const { phrases, terms, prefixes, excluded } = parsed;
+  const positives = phrases.length + terms.length + prefixes.length;
+
+  if (positives === 0 && excluded.length === 0) {
+    return { filter: null, mode: null, parsed };
+  }
+
+  if (!fallback && prefixes.length === 0 && positives > 0) {
+    const search = [
+      ...terms,
+      ...phrases.map(phrase => `"${phrase}"`),
+      ...excluded.map(term => `-${term}`)
+    ].join(' ');
+
+    return { filter: { $text: { $search: search } }, mode: 'text', parsed };
+  }
+
+  const anyField = regex => ({ $or: fields.map(field => ({ [field]: regex })) });
+  const conditions = [
+    ...[...terms, ...phrases].map(part => anyField(new RegExp(escapeRegExp(part), 'i'))),
+    ...prefixes.map(prefix => anyField(new RegExp(`\\b${escapeRegExp(prefix)}`, 'i'))),
+    ...excluded.map(term => ({ $nor: fields.map(field => ({ [field]: new RegExp(escapeRegExp(term), 'i') })) }))
+  ];
+
+  return {
+    filter: conditions.length === 1 ? conditions[0] : { $and: conditions },
+    mode: 'regex',
+    parsed
+  };
+};
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+/**
+ * Cut a snippet around the first match and wrap every match in <mark>
+ * The text is HTML-escaped so snippets can be rendered as markup.
+ */
+const makeSnippet = (text, pattern) => {
+  const first = new RegExp(pattern.source, 'i').exec(text);
+  if (!first) return null;
+
+  let start = Math.max(0, first.index - Math.floor((SNIPPET_LENGTH - first[0].length) / 2));
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, end - SNIPPET_LENGTH);
+
+  const slice = text.slice(start, end);
+  const marked = slice.split(new RegExp(`(${pattern.source})`, 'gi'))
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${marked}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Highlighted snippets of the fields of a document matching a parsed query
+ * Array fields (tags) are joined with commas. Returns { field: snippet }.
+ */
+const getHighlights = (doc, fields, parsed) => {
+  const needles = [...parsed.phrases, ...parsed.terms, ...parsed.prefixes]
+    .sort((a, b) => b.length - a.length);
+
+  if (needles.length === 0) return {};
+
+  const pattern = new RegExp(needles.map(escapeRegExp).join('|'));
+  const highlights = {};
+
+  fields.forEach(field => {
+    const value = Array.isArray(doc[field]) ? doc[field].join(', ') : doc[field];
+    if (typeof value !== 'string') return;
+
+    const snippet = makeSnippet(value, pattern);
+    if (snippet) highlights[field] = snippet;
+  });
+
+  return highlights;
+};
+
+/**
+ * Add the relevance score and highlights of a search to result documents
+ */
+const withSearchResults = (docs, fields, search) => docs.map(doc => {
+  const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+
+  return {
+    ...plain,
+    score: search.mode === 'text' ? (plain.score ?? null) : null,
+    highlights: getHighlights(plain, fields, search.parsed)
+  };
+});
+
+module.exports = {
+  parseSearchQuery,
+  buildSearchFilter,
+  getHighlights,
+  withSearchResults
+};
@@ -0,0 +1,34 @@
+const { once } = require('events');
+
+/**
+ * Wait until a stream drains or closes
+ * The listener of the event that did not happen is removed afterwards.
+ */
+const waitForDrain = async (stream) => {
+  const controller = new AbortController();
+
+  try {
+    await Promise.race([
+      once(stream, 'drain', { signal: controller.signal }),
+      once(stream, 'close', { signal: controller.signal })
+    ]);
+  } finally {
+    controller.abort();
+  }
+};
+
+/**
+ * Write a chunk to a response, waiting for the buffer to drain when full
+ * Resolves to false once the client has gone away so callers can stop
+ */
+const writeChunk = async (res, chunk) => {
+  if (res.destroyed) return false;
+
+  if (!res.write(chunk)) {
+    await waitForDrain(res);
+  }
+
+  return !res.destroyed;
+};
+
+module.exports = { waitForDrain, writeChunk };
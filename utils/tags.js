@@ -0,0 +1,16 @@
+/**
+ * Normalize a tag: trimmed, inner whitespace collapsed to one space, lowercase
+ */
+const normalizeTag = (tag) => String(tag).trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Normalize a list of tags, dropping blanks, non-strings and duplicates
+ */
+const normalizeTags = (tags) => [...new Set(
+  tags
+    .filter(tag => typeof tag === 'string')
+    .map(normalizeTag)
+    .filter(Boolean)
+)];
+
+module.exports = { normalizeTag, normalizeTags };
@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+/**
+ * Generate a random opaque token (URL safe)
+ */
+const generateRandomToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * Hash an opaque token for storage
+ * Only the SHA-256 digest is persisted so a database leak does not expose live tokens
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = { generateRandomToken, hashToken };
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { subscribeToDataEvents } = require('./dataEvents');
+const { generateRandomToken } = require('./tokens');
+const { postToUrl } = require('./network');
+
+// Attempts before a delivery is dead-lettered; retries wait 30s, 1m, 2m, ... up to 6h
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const CLAIM_DURATION_MS = 3 * DELIVERY_TIMEOUT_MS;
+const POLL_INTERVAL_MS = 5 * 1000;
+const MAX_ERROR_LENGTH = 500;
+
+// Deliveries sent at once, in total and per webhook, so a slow endpoint
+// neither holds up the others nor gets flooded
+const MAX_CONCURRENT_DELIVERIES = 10;
+const MAX_CONCURRENT_PER_WEBHOOK = 2;
+
+/**
+ * Sign a payload: hex HMAC-SHA256 of `<timestamp>.<body>` with the webhook secret
+ * Receivers recompute it from the X-Webhook-Timestamp header and the raw body.
+ */
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+/**
+ * Delay before the next attempt after a number of failed attempts
+ */
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+let claiming = false;
+let processAgain = false;
+// Deliveries being sent, by webhook id
+const sending = new Map();
+let sendingCount = 0;
+
+// Take the next due delivery, including ones whose sender died mid-attempt,
+// of a webhook that is not already at its limit
+const claimNextDelivery = () => {
+  const now = new Date();
+  const busyWebhooks = [...sending]
+    .filter(([, count]) => count >= MAX_CONCURRENT_PER_WEBHOOK)
+    .map(([webhookId]) => webhookId);
+
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      webhook: { $nin: busyWebhooks },
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'delivering', lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { status: 'delivering', lockedUntil: new Date(now.getTime() + CLAIM_DURATION_MS) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Make one attempt at a claimed delivery and record the outcome
+ * 2xx responses succeed; anything else (including redirects) is retried
+ * until MAX_ATTEMPTS, then the delivery is dead-lettered.
+ */
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  if (!webhook) {
+    return delivery.deleteOne();
+  }
+
+  const startedAt = new Date();
+  let responseStatus = null;
+  let error = null;
+
+  // Also re-checked here so retries stop once the creator loses access
+  const allowed = await webhook.isCreatorAllowed();
+
+  if (!allowed) {
+    error = 'Webhook creator no longer has access to the data';
+  } else if (webhook.isActive || delivery.event === 'webhook.test') {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(startedAt.getTime() / 1000);
+
+    try {
+      responseStatus = await postToUrl(webhook.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Dashboard-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery._id.toString(),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+        },
+        body,
+        timeout: DELIVERY_TIMEOUT_MS,
+        allowPrivate: Webhook.allowsPrivateUrls()
+      });
+
+      if (responseStatus < 200 || responseStatus >= 300) {
+        error = `Endpoint responded with status ${responseStatus}`;
+      }
+    } catch (err) {
+      error = err.message;
+    }
+  } else {
+    error = 'Webhook is disabled';
+  }
+
+  delivery.attempts += 1;
+  delivery.responseStatus = responseStatus;
+  delivery.error = error ? String(error).slice(0, MAX_ERROR_LENGTH) : null;
+  delivery.lockedUntil = null;
+  delivery.logAttempt({
+    at: startedAt,
+    responseStatus,
+    error: delivery.error,
+    durationMs: Date.now() - startedAt.getTime()
+  });
+
+  if (!error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attempts >= MAX_ATTEMPTS || !webhook.isActive || !allowed) {
+    delivery.status = 'dead';
+  } else {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts));
+  }
+
+  return delivery.save();
+};
+
+/**
+ * Send a claimed delivery in the background, then look for more work
+ */
+const sendDelivery = (delivery) => {
+  const webhookId = delivery.webhook.toString();
+  sending.set(webhookId, (sending.get(webhookId) || 0) + 1);
+  sendingCount += 1;
+
+  attemptDelivery(delivery)
+    .catch(error => {
+      console.error('Webhook delivery error:', error);
+    })
+    .finally(() => {
+      const count = sending.get(webhookId) - 1;
+      if (count > 0) {
+        sending.set(webhookId, count);
+      } else {
+        sending.delete(webhookId);
+      }
+      sendingCount -= 1;
+
+      processDeliveries();
+    });
+};
+
+/**
+ * Start sending due deliveries, up to MAX_CONCURRENT_DELIVERIES at once
+ * Runs in the background; calls made while it is claiming make it look again
+ * once done instead of starting a second loop.
+ */
+const processDeliveries = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  if (claiming) {
+    processAgain = true;
+    return;
+  }
+
+  claiming = true;
+
+  try {
+    do {
+      processAgain = false;
+
+      let delivery;
+      while (sendingCount < MAX_CONCURRENT_DELIVERIES && (delivery = await claimNextDelivery())) {
+        sendDelivery(delivery);
+      }
+    } while (processAgain && sendingCount < MAX_CONCURRENT_DELIVERIES);
+  } catch (error) {
+    console.error('Webhook delivery error:', error);
+  } finally {
+    claiming = false;
+  }
+};
+
+/**
+ * Queue a delivery of a data event to every webhook subscribed to it
+ */
+const enqueueDataEvent = async (event) => {
+  const webhooks = await Webhook.findForEvent(event);
+
+  if (webhooks.length === 0) return [];
+
+  const payload = {
+    id: event.id,
+    type: event.type,
+    occurredAt: event.occurredAt,
+    workspace: event.workspace,
+    actor: event.actor,
+    data: event.data
+  };
+
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhook: webhook._id,
+    event: event.type,
+    eventId: event.id,
+    payload
+  })));
+
+  processDeliveries();
+  return deliveries;
+};
+
+/**
+ * Queue a `webhook.test` event for a webhook (sent even while it is disabled)
+ */
+const enqueueTestEvent = async (webhook, user) => {
+  const eventId = `test-${generateRandomToken(9)}`;
+
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event: 'webhook.test',
+    eventId,
+    payload: {
+      id: eventId,
+      type: 'webhook.test',
+      occurredAt: new Date(),
+      workspace: webhook.workspace,
+      actor: user._id,
+      data: { webhook: webhook._id, message: 'This is a test event' }
+    }
+  });
+
+  processDeliveries();
+  return delivery;
+};
+
+/**
+ * Put a finished (succeeded or dead-lettered) delivery back in the queue
+ * with a fresh set of attempts
+ */
+const redeliver = async (delivery) => {
+  delivery.status = 'pending';
+  delivery.attempts = 0;
+  delivery.nextAttemptAt = new Date();
+  delivery.deliveredAt = null;
+  await delivery.save();
+
+  processDeliveries();
+  return delivery;
+};
+
+/**
+ * Queue deliveries for every data event and poll the queue for due retries
+ * Both run in the background, so a slow or failing endpoint never holds up
+ * the request that changed the data.
+ */
+const startWebhookWorker = () => {
+  subscribeToDataEvents(event => {
+    enqueueDataEvent(event).catch(error => {
+      console.error('Enqueue webhook deliveries error:', error);
+    });
+  });
+
+  setInterval(processDeliveries, POLL_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  signPayload,
+  getRetryDelay,
+  processDeliveries,
+  enqueueDataEvent,
+  enqueueTestEvent,
+  redeliver,
+  startWebhookWorker
+};